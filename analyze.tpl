@@ -0,0 +1,126 @@
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>{{title}}</title>
+    <style>
+        body { margin: 0; font: 12px system-ui, sans-serif; background: #1b1b1f; color: #eee; }
+        header { height: 36px; padding: 0 12px; display: flex; align-items: center; gap: 12px; }
+        #map { position: absolute; top: 36px; left: 0; right: 0; bottom: 0; }
+        .node { position: absolute; box-sizing: border-box; overflow: hidden; border: 1px solid #1b1b1f; }
+        .label { padding: 2px 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .group { background: #2a2a30; }
+        .group > .label { font-weight: 600; }
+        .leaf { color: #111; }
+    </style>
+</head>
+<body>
+    <header><strong>{{title}}</strong><span id="total"></span></header>
+    <div id="map"></div>
+    <script>
+        const tree = {{data}};
+        const HEADER = 18;
+        const PADDING = 2;
+
+        const formatSize = (bytes) =>
+            bytes < 1024 ? `${bytes} B`
+                : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} kB`
+                    : `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+        // Squarified treemap: rows of items are laid along the shorter side so rectangles stay close to square
+        const squarify = (items, rect) => {
+            const rects = [];
+            let { x, y, w, h } = rect;
+            const total = items.reduce((sum, item) => sum + item.size, 0);
+            const scale = (w * h) / total;
+            const worst = (row, side) => {
+                const areas = row.map((item) => item.size * scale);
+                const sum = areas.reduce((a, b) => a + b, 0);
+                return Math.max(
+                    (side * side * Math.max(...areas)) / (sum * sum),
+                    (sum * sum) / (side * side * Math.min(...areas)),
+                );
+            };
+            const placeRow = (row) => {
+                const sum = row.reduce((s, item) => s + item.size * scale, 0);
+                if (w >= h) {
+                    const rowWidth = sum / h;
+                    let offset = y;
+                    for (const item of row) {
+                        const itemHeight = (item.size * scale) / rowWidth;
+                        rects.push({ node: item, x, y: offset, w: rowWidth, h: itemHeight });
+                        offset += itemHeight;
+                    }
+                    x += rowWidth;
+                    w -= rowWidth;
+                } else {
+                    const rowHeight = sum / w;
+                    let offset = x;
+                    for (const item of row) {
+                        const itemWidth = (item.size * scale) / rowHeight;
+                        rects.push({ node: item, x: offset, y, w: itemWidth, h: rowHeight });
+                        offset += itemWidth;
+                    }
+                    y += rowHeight;
+                    h -= rowHeight;
+                }
+            };
+
+            let row = [];
+            for (const item of [...items].sort((a, b) => b.size - a.size)) {
+                const side = Math.min(w, h);
+                if (row.length && worst([...row, item], side) > worst(row, side)) {
+                    placeRow(row);
+                    row = [];
+                }
+                row.push(item);
+            }
+            if (row.length) placeRow(row);
+            return rects;
+        };
+
+        const render = (parent, node, rect, path, hue) => {
+            if (rect.w < 2 || rect.h < 2) return;
+            const el = document.createElement("div");
+            el.className = `node ${node.children ? "group" : "leaf"}`;
+            Object.assign(el.style, {
+                left: `${rect.x}px`,
+                top: `${rect.y}px`,
+                width: `${rect.w}px`,
+                height: `${rect.h}px`,
+            });
+            if (!node.children) el.style.background = `hsl(${hue}, 55%, 65%)`;
+            el.title = `${path}\n${formatSize(node.size)} (${((node.size / tree.size) * 100).toFixed(1)}%)`;
+            const label = document.createElement("div");
+            label.className = "label";
+            label.textContent = `${node.name} ${formatSize(node.size)}`;
+            el.appendChild(label);
+            parent.appendChild(el);
+
+            if (!node.children) return;
+            const inner = {
+                x: PADDING,
+                y: HEADER,
+                w: rect.w - PADDING * 2 - 2,
+                h: rect.h - HEADER - PADDING - 2,
+            };
+            if (inner.w < 2 || inner.h < 2) return;
+            squarify(node.children, inner).forEach((child, i) => {
+                render(el, child.node, child, `${path}/${child.node.name}`, hue + i * 23);
+            });
+        };
+
+        const draw = () => {
+            const map = document.getElementById("map");
+            map.replaceChildren();
+            squarify(tree.children, { x: 0, y: 0, w: map.clientWidth, h: map.clientHeight })
+                .forEach((child, i) => render(map, child.node, child, child.node.name, i * 67));
+        };
+
+        document.getElementById("total").textContent = `${formatSize(tree.size)} rendered`;
+        window.addEventListener("resize", draw);
+        draw();
+    </script>
+</body>
+</html>
@@ -1,12 +1,15 @@
 #!/usr/bin/env node
 import { exec } from "node:child_process";
+import { createHash } from "node:crypto";
 import { promises as fs, realpathSync, watch } from "node:fs";
 import http from "node:http";
 import path, { dirname } from "node:path";
 import { fileURLToPath } from "node:url";
 import { promisify } from "node:util";
+import zlib from "node:zlib";
 import nodePolyfills from "@rolldown/plugin-node-polyfills";
-import { rolldown } from "rolldown";
+import { rolldown, watch as rolldownWatch } from "rolldown";
+import { transform } from "rolldown/experimental";
 
 const execAsync = promisify(exec);
 
@@ -25,12 +28,45 @@ const CONFIG = {
 		BUNDLE_CHUNK: "main-[hash].js",
 		CONFIG: ".microtastic",
 		SW_TEMPLATE: "sw.tpl",
+		ANALYZE_TEMPLATE: "analyze.tpl",
+		ANALYZE_REPORT: "bundle-report.html",
+		SERVICE_WORKER: "sw.js",
+		MANIFEST: "manifest.json",
+		WEB_MANIFEST: "manifest.webmanifest",
+		INDEX_HTML: "index.html",
+		PREP_CACHE: ".prep-cache.json",
+		ASSET_CACHE: ".asset-cache.json",
+		ASSET_MAP: "asset-map.json",
+		PACKAGE_LOCK: "package-lock.json",
+		DEPENDENCY_CHUNK: "chunks/[name]-[hash].js",
+		// Loaded in order, later files override earlier ones
+		ENV: [".env", ".env.[mode]", ".env.local"],
+	},
+	// URLs with a scheme or protocol-relative URLs point outside the app
+	EXTERNAL_URL: /^(?:[a-z][\w+.-]*:|\/\/)/i,
+	IMPORT_MAP: /<script type="importmap">([\s\S]*?)<\/script>/,
+	// src and href attributes in HTML: prefix, URL up to a query or fragment, rest
+	HTML_REFERENCE: /(\s(?:src|href)=["'])([^"'?#]+)([^"']*["'])/g,
+	SOURCE_MAP: /\.map$/,
+	ENV_LINE: /^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)$/,
+	// sourceMaps setting -> rolldown's output.sourcemap
+	SOURCE_MAP_MODES: {
+		false: false,
+		external: true,
+		hidden: "hidden",
+		inline: "inline",
 	},
 	DEFAULTS: {
 		genServiceWorker: false,
 		minifyBuild: true,
 		serverPort: 8181,
 		hotReload: true,
+		hashFileNames: true,
+		prepSharedChunks: false,
+		sourceMaps: false,
+		envPrefix: "PUBLIC_",
+		swRuntimeCache: { maxEntries: 50, maxAgeSeconds: 7 * 24 * 60 * 60 },
+		swMaxFileSize: "2 MB",
 	},
 };
 
@@ -39,6 +75,7 @@ const MIME_TYPES = {
 	".js": "text/javascript",
 	".css": "text/css",
 	".json": "application/json",
+	".map": "application/json",
 	".png": "image/png",
 	".jpg": "image/jpg",
 	".gif": "image/gif",
@@ -52,6 +89,8 @@ const MIME_TYPES = {
 	".eot": "application/vnd.ms-fontobject",
 	".otf": "application/font-otf",
 	".wasm": "application/wasm",
+	".webp": "image/webp",
+	".webmanifest": "application/manifest+json",
 };
 
 class MicrotasticError extends Error {
@@ -65,6 +104,7 @@ class Logger {
 	static #colors = {
 		error: "\x1b[31m",
 		success: "\x1b[32m",
+		warning: "\x1b[33m",
 		info: "\x1b[36m",
 		reset: "\x1b[0m",
 	};
@@ -79,8 +119,30 @@ class Logger {
 		console.log(color ? `${color}${msg}${Logger.#colors.reset}` : msg);
 	error = (msg) => this.#log(`ERROR: ${msg}`, Logger.#colors.error);
 	success = (msg) => this.#log(msg, Logger.#colors.success);
+	warning = (msg) => this.#log(`WARNING: ${msg}`, Logger.#colors.warning);
 	info = (msg) => this.#log(msg, Logger.#colors.info);
 	debug = (msg) => this.isDebug && this.#log(`DEBUG: ${msg}`);
+
+	// Prints rows of cells as left-aligned columns, the first row being the header
+	table = (rows) => {
+		const widths = rows[0].map((_, i) =>
+			Math.max(...rows.map((row) => String(row[i]).length)),
+		);
+		for (const row of rows) {
+			this.#log(
+				row
+					.map((cell, i) => String(cell).padEnd(widths[i]))
+					.join("  ")
+					.trimEnd(),
+			);
+		}
+	};
+
+	static formatSize = (bytes) => {
+		if (bytes < 1024) return `${bytes} B`;
+		if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+		return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+	};
 }
 
 class FileManager {
@@ -150,15 +212,82 @@ class FileManager {
 			);
 		}
 	}
+
+	// 8 character content hash used in hashed file names
+	static contentHash = (content) =>
+		createHash("sha256").update(content).digest("base64url").slice(0, 8);
+
+	static isGlob = (pattern) => /[*?{]/.test(pattern);
+
+	// Supports *, ** (any number of directories), ? and {a,b} alternatives
+	static globToRegExp(pattern) {
+		let source = "";
+		let braces = 0;
+		for (let i = 0; i < pattern.length; i++) {
+			const char = pattern[i];
+			if (char === "*" && pattern[i + 1] === "*") {
+				const slash = pattern[i + 2] === "/";
+				source += slash ? "(?:.*/)?" : ".*";
+				i += slash ? 2 : 1;
+			} else if (char === "*") {
+				source += "[^/]*";
+			} else if (char === "?") {
+				source += "[^/]";
+			} else if (char === "{") {
+				braces++;
+				source += "(?:";
+			} else if (char === "}" && braces > 0) {
+				braces--;
+				source += ")";
+			} else if (char === "," && braces > 0) {
+				source += "|";
+			} else {
+				source += char.replace(/[.+^$()|[\]{}\\]/g, "\\$&");
+			}
+		}
+		return new RegExp(`^${source}$`);
+	}
+
+	// Lists files under cwd matching a forward-slash glob. base is the directory before the
+	// first segment with a wildcard, files are relative to cwd.
+	static globBase(pattern) {
+		const segments = pattern.split("/");
+		const firstGlob = segments.findIndex((segment) =>
+			FileManager.isGlob(segment),
+		);
+		return segments.slice(0, firstGlob).join("/");
+	}
+
+	static async glob(pattern, cwd) {
+		const base = FileManager.globBase(pattern);
+		const baseDir = path.join(cwd, base);
+		if (!(await FileManager.checkExists(baseDir))) return { base, files: [] };
+
+		const matcher = FileManager.globToRegExp(
+			base ? pattern.slice(base.length + 1) : pattern,
+		);
+		const files = (await FileManager.listRecursive(baseDir))
+			.map((file) => file.split(path.sep).join("/"))
+			.filter((file) => matcher.test(file))
+			.sort()
+			.map((file) => (base ? `${base}/${file}` : file));
+		return { base, files };
+	}
 }
 
 class DevServer {
+	// Changes that can be applied without a full reload, by file extension
+	static #hotUpdates = {
+		".js": "update",
+		".css": "css-update",
+	};
+
 	#sendResponse = (res, statusCode, content, req, contentType) => {
 		res.statusCode = statusCode;
 		if (contentType) res.setHeader("Content-type", contentType);
 		res.end(content);
 		console.log(
-			statusCode === 200 ? "\x1b[32m" : "\x1b[31m",
+			statusCode < 400 ? "\x1b[32m" : "\x1b[31m",
 			`${req.method} ${statusCode} ${req.url}\x1b[0m`,
 		);
 	};
@@ -166,22 +295,113 @@ class DevServer {
 	#clients = new Set();
 	#watcher = null;
 	#reloadTimeout = null;
-
-	constructor(root, mimes, enableHotReload = false, watchDir = null) {
+	#pendingChanges = new Set();
+
+	constructor(
+		root,
+		mimes,
+		enableHotReload = false,
+		watchDir = null,
+		options = {},
+	) {
 		this.root = root;
 		this.mimes = mimes;
 		this.enableHotReload = enableHotReload;
 		this.watchDir = watchDir;
+		this.production = options.production ?? false;
+		// Paths relative to root that are content-hashed and can be cached forever
+		this.immutable = options.immutable ?? new Set();
+		// Optional async (filePath, content) => content hook applied before sending
+		this.transform = options.transform ?? null;
+	}
+
+	static #compressors = {
+		br: zlib.brotliCompressSync,
+		gzip: zlib.gzipSync,
+	};
+
+	#isCompressible = (contentType) =>
+		/^text\/|json|javascript|svg|wasm/.test(contentType);
+
+	// Adds caching and compression headers, returns the body to send or null for 304
+	#applyProductionHeaders(req, res, filePath, content, contentType) {
+		const etag = `"${createHash("sha1").update(content).digest("base64url")}"`;
+		const fileName = path.basename(filePath);
+		const relative = path
+			.relative(this.root, filePath)
+			.split(path.sep)
+			.join("/");
+		res.setHeader("ETag", etag);
+		res.setHeader(
+			"Cache-Control",
+			this.immutable.has(relative)
+				? "public, max-age=31536000, immutable"
+				: "no-cache",
+		);
+		if (fileName === CONFIG.FILES.SERVICE_WORKER) {
+			res.setHeader("Service-Worker-Allowed", "/");
+		}
+		if (req.headers["if-none-match"] === etag) return null;
+
+		if (!this.#isCompressible(contentType)) return content;
+		res.setHeader("Vary", "Accept-Encoding");
+		const accepted = req.headers["accept-encoding"] ?? "";
+		const encoding = Object.keys(DevServer.#compressors).find((e) =>
+			accepted.includes(e),
+		);
+		if (!encoding) return content;
+		res.setHeader("Content-Encoding", encoding);
+		return DevServer.#compressors[encoding](content);
 	}
 
 	#injectReloadScript(html) {
 		const reloadScript = `<script>
 (function() {
 	if (!window.EventSource) return;
+	// Tells reactive.js to track components and register its hot replacement hook
+	window.__MICROTASTIC_HOT__ = true;
 	const es = new EventSource('/__reload');
 	es.onmessage = function(e) {
 		if (e.data === 'reload') {
 			window.location.reload();
+			return;
+		}
+		let msg;
+		try {
+			msg = JSON.parse(e.data);
+		} catch {
+			return;
+		}
+		if (msg.type === 'update') {
+			// Re-import the changed module and let reactive.js swap its components in place
+			const hmr = window.__MICROTASTIC_HMR__;
+			if (!hmr) {
+				window.location.reload();
+				return;
+			}
+			// The plain URL resolves to the module instance the app already imported
+			Promise.all([import(msg.path + '?t=' + Date.now()), import(msg.path)])
+				.then(function(mods) {
+					if (!hmr.accept(mods[0], mods[1])) window.location.reload();
+				})
+				.catch(function() {
+					window.location.reload();
+				});
+		} else if (msg.type === 'css-update') {
+			// Swap matching stylesheets with a version query, reload if none is linked
+			const links = Array.prototype.filter.call(
+				document.querySelectorAll('link[rel="stylesheet"]'),
+				function(link) {
+					return new URL(link.href).pathname === msg.path;
+				},
+			);
+			if (!links.length) {
+				window.location.reload();
+				return;
+			}
+			links.forEach(function(link) {
+				link.href = msg.path + '?v=' + Date.now();
+			});
 		}
 	};
 	es.onerror = function() {
@@ -222,6 +442,8 @@ class DevServer {
 						return;
 					}
 
+					this.#pendingChanges.add(normalizedPath);
+
 					// Debounce rapid file changes
 					if (this.#reloadTimeout) {
 						clearTimeout(this.#reloadTimeout);
@@ -237,10 +459,30 @@ class DevServer {
 		}
 	}
 
+	#toUrlPath(filename) {
+		const relative = path.relative(
+			this.root,
+			path.join(this.watchDir, filename),
+		);
+		if (relative.startsWith("..") || path.isAbsolute(relative)) return null;
+		return `/${relative.split(path.sep).join("/")}`;
+	}
+
+	#changeMessages() {
+		const urls = [...this.#pendingChanges].map((f) => this.#toUrlPath(f));
+		this.#pendingChanges.clear();
+
+		// JS modules and stylesheets are updated in place, any other change needs a full reload
+		const types = urls.map((u) => u && DevServer.#hotUpdates[path.extname(u)]);
+		if (!urls.length || types.some((t) => !t)) return ["reload"];
+		return urls.map((u, i) => JSON.stringify({ type: types[i], path: u }));
+	}
+
 	#notifyClients() {
+		const messages = this.#changeMessages();
 		for (const client of this.#clients) {
 			try {
-				client.write("data: reload\n\n");
+				for (const message of messages) client.write(`data: ${message}\n\n`);
 			} catch (_error) {
 				this.#clients.delete(client);
 			}
@@ -256,6 +498,7 @@ class DevServer {
 			clearTimeout(this.#reloadTimeout);
 			this.#reloadTimeout = null;
 		}
+		this.#pendingChanges.clear();
 		for (const client of this.#clients) {
 			try {
 				client.end();
@@ -276,6 +519,7 @@ class DevServer {
 						"Cache-Control": "no-cache",
 						Connection: "keep-alive",
 					});
+					res.flushHeaders();
 					this.#clients.add(res);
 
 					// Send keep-alive ping every 30 seconds
@@ -338,14 +582,24 @@ class DevServer {
 				if (this.enableHotReload && path.parse(finalPath).ext === ".html") {
 					content = Buffer.from(this.#injectReloadScript(content.toString()));
 				}
+				if (this.transform) content = await this.transform(finalPath, content);
+
+				const contentType =
+					this.mimes[path.parse(finalPath).ext] || "text/plain";
+				if (this.production) {
+					content = this.#applyProductionHeaders(
+						req,
+						res,
+						finalPath,
+						content,
+						contentType,
+					);
+					if (content === null) {
+						return this.#sendResponse(res, 304, undefined, req);
+					}
+				}
 
-				this.#sendResponse(
-					res,
-					200,
-					content,
-					req,
-					this.mimes[path.parse(finalPath).ext] || "text/plain",
-				);
+				this.#sendResponse(res, 200, content, req, contentType);
 			} catch (e) {
 				this.#sendResponse(res, 500, `Server error: ${e.message}`, req);
 			}
@@ -354,6 +608,11 @@ class DevServer {
 }
 
 class CommandHandler {
+	// import.meta.env values for the current build, see #loadEnv
+	#env = {};
+	// Serializes updates of the asset cache, see #recordAssetOutputs
+	#assetCacheUpdate = Promise.resolve();
+
 	constructor(options) {
 		this.logger = new Logger(options.logging);
 		this.settings = options.settings;
@@ -409,14 +668,16 @@ class CommandHandler {
 			path.join(this.paths.projectDir, "/biome.json"),
 		);
 
-		// Copy reactive.js to app/src so it can be imported in the browser
-		await FileManager.copyFile(
-			path.join(this.paths.microtasticDir, "/reactive.js"),
-			path.join(
-				this.paths.projectDir,
-				`/${CONFIG.DIRS.APP}/${CONFIG.DIRS.SRC}/reactive.js`,
-			),
-		);
+		// Copy reactive.js and the service worker helper to app/src so they can be imported in the browser
+		for (const file of ["reactive.js", "sw-register.js"]) {
+			await FileManager.copyFile(
+				path.join(this.paths.microtasticDir, file),
+				path.join(
+					this.paths.projectDir,
+					`/${CONFIG.DIRS.APP}/${CONFIG.DIRS.SRC}/${file}`,
+				),
+			);
+		}
 
 		const appPkg = await this.loadAppPackage();
 		appPkg.scripts ??= {};
@@ -463,7 +724,265 @@ class CommandHandler {
 		}
 	}
 
-	async prep() {
+	// Destination name for a copied asset, e.g. "[name]-[hash][ext]" -> "icon-Bx7_a2Qz.svg"
+	async #assetFileName(srcPath, relativePath, rename) {
+		if (!rename) return relativePath;
+		const { dir, name, ext } = path.parse(relativePath);
+		const hash = rename.includes("[hash]")
+			? FileManager.contentHash(await fs.readFile(srcPath))
+			: "";
+		return path.join(
+			dir,
+			rename
+				.replaceAll("[name]", name)
+				.replaceAll("[ext]", ext)
+				.replaceAll("[hash]", hash),
+		);
+	}
+
+	// Copies one assetCopy entry. source is a file, a directory or a glob. Globs and
+	// directories copy into dest, keeping paths relative to the glob base unless flatten
+	// is set. rename (or hash: true) changes the destination file names.
+	async #copyAsset(asset) {
+		const { source, dest, flatten = false } = asset;
+		const rename = asset.rename ?? (asset.hash ? "[name]-[hash][ext]" : null);
+		const srcPath = path.join(this.paths.projectDir, source);
+		const destPath = path.join(this.paths.projectDir, dest);
+
+		let base;
+		let files;
+		if (FileManager.isGlob(source)) {
+			({ base, files } = await FileManager.glob(source, this.paths.projectDir));
+			if (files.length === 0) {
+				throw new Error(`No files match ${source}`);
+			}
+		} else {
+			// Check if source is a directory or file
+			const stats = await fs.stat(srcPath).catch(() => null);
+			if (!stats) {
+				throw new Error(`Source path does not exist: ${source}`);
+			}
+
+			if (!stats.isDirectory()) {
+				const fileName = await this.#assetFileName(
+					srcPath,
+					path.basename(destPath),
+					rename,
+				);
+				const output = path.join(path.dirname(destPath), fileName);
+				await FileManager.copyFile(srcPath, output);
+				await this.#recordAssetOutputs(asset, new Map([[destPath, output]]));
+				this.logger.success(
+					`Copied ${path.join(path.dirname(dest), fileName)}`,
+				);
+				return;
+			}
+			if (!flatten && !rename) {
+				await FileManager.copyRecursive(srcPath, destPath, []);
+				this.logger.success(`Copied directory ${dest}`);
+				return;
+			}
+			base = source;
+			files = (await FileManager.listRecursive(srcPath)).map((file) =>
+				path.join(source, file),
+			);
+		}
+
+		const written = new Map();
+		const outputs = new Map();
+		for (const file of files) {
+			const fileSrc = path.join(this.paths.projectDir, file);
+			const relativePath = flatten
+				? path.basename(file)
+				: path.relative(base, file);
+			const fileName = await this.#assetFileName(fileSrc, relativePath, rename);
+			if (written.has(fileName)) {
+				throw new Error(
+					`${file} and ${written.get(fileName)} would both be copied to ${path.join(dest, fileName)}`,
+				);
+			}
+			written.set(fileName, file);
+			outputs.set(
+				path.join(destPath, relativePath),
+				path.join(destPath, fileName),
+			);
+			await FileManager.copyFile(fileSrc, path.join(destPath, fileName));
+		}
+		await this.#recordAssetOutputs(asset, outputs);
+		this.logger.success(`Copied ${files.length} files to ${dest}`);
+	}
+
+	get #assetCachePath() {
+		return path.join(this.paths.appDependenciesDir, CONFIG.FILES.ASSET_CACHE);
+	}
+
+	async #readAssetCache() {
+		try {
+			return JSON.parse(await fs.readFile(this.#assetCachePath, "utf8"));
+		} catch {
+			return {};
+		}
+	}
+
+	async #writeAssetCache(cache) {
+		await fs.mkdir(this.paths.appDependenciesDir, { recursive: true });
+		await fs.writeFile(this.#assetCachePath, JSON.stringify(cache, null, 2));
+		await this.#writeAssetMap(cache);
+	}
+
+	// Changes the asset cache one update at a time, dev can re-copy several entries at once
+	#updateAssetCache(update) {
+		const result = this.#assetCacheUpdate.then(async () => {
+			const cache = await this.#readAssetCache();
+			await update(cache);
+			await this.#writeAssetCache(cache);
+		});
+		this.#assetCacheUpdate = result.catch(() => {});
+		return result;
+	}
+
+	async #deleteAssetOutputs(entry, keep = new Set()) {
+		for (const file of Object.values(entry)) {
+			if (keep.has(file)) continue;
+			await fs.rm(path.join(this.paths.projectDir, file), { force: true });
+		}
+	}
+
+	// Records the files an assetCopy entry wrote (destination before rename -> written
+	// file) in .asset-cache.json next to the prep cache. Files the entry's previous copy
+	// wrote and this one didn't, like old "[hash]" names, are deleted, also across prep runs.
+	#recordAssetOutputs(asset, outputs) {
+		const key = JSON.stringify(asset);
+		const entry = {};
+		for (const [name, output] of outputs) {
+			entry[this.#urlPath(this.paths.projectDir, name)] = this.#urlPath(
+				this.paths.projectDir,
+				output,
+			);
+		}
+		return this.#updateAssetCache(async (cache) => {
+			await this.#deleteAssetOutputs(
+				cache[key] ?? {},
+				new Set(Object.values(entry)),
+			);
+			cache[key] = entry;
+		});
+	}
+
+	// Writes app/asset-map.json with the renamed assets under app/, keyed by the name they
+	// would have had without rename, so the app can look up "[hash]" names at runtime
+	async #writeAssetMap(cache) {
+		const map = {};
+		for (const entry of Object.values(cache)) {
+			for (const [name, output] of Object.entries(entry)) {
+				const from = this.#urlPath(
+					this.paths.appRootDir,
+					path.join(this.paths.projectDir, name),
+				);
+				if (name === output || from.startsWith("..")) continue;
+				map[from] = this.#urlPath(
+					this.paths.appRootDir,
+					path.join(this.paths.projectDir, output),
+				);
+			}
+		}
+		const mapPath = path.join(this.paths.appRootDir, CONFIG.FILES.ASSET_MAP);
+		if (Object.keys(map).length === 0) {
+			await fs.rm(mapPath, { force: true });
+			return;
+		}
+		const sorted = Object.fromEntries(Object.entries(map).sort());
+		await fs.writeFile(mapPath, `${JSON.stringify(sorted, null, 2)}\n`);
+	}
+
+	// Re-runs an assetCopy entry when one of its source files changes
+	async #watchAssets() {
+		await this.loadAppPackage();
+		const watchers = [];
+		for (const asset of this.appPkg?.assetCopy || []) {
+			const isGlob = FileManager.isGlob(asset.source);
+			const watchRoot = isGlob
+				? FileManager.globBase(asset.source)
+				: asset.source;
+			const watchPath = path.join(this.paths.projectDir, watchRoot);
+			const stats = await fs.stat(watchPath).catch(() => null);
+			if (!stats) continue;
+
+			const target = stats.isDirectory() ? watchPath : path.dirname(watchPath);
+			const matcher = isGlob && FileManager.globToRegExp(asset.source);
+			let timeout = null;
+			const watcher = watch(
+				target,
+				{ recursive: stats.isDirectory() },
+				(_eventType, filename) => {
+					if (!filename) return;
+					const changed = path
+						.relative(this.paths.projectDir, path.join(target, filename))
+						.split(path.sep)
+						.join("/");
+					if (matcher && !matcher.test(changed)) return;
+					if (
+						!stats.isDirectory() &&
+						changed !== path.posix.normalize(asset.source)
+					)
+						return;
+					clearTimeout(timeout);
+					timeout = setTimeout(() => {
+						this.#copyAsset(asset).catch((error) =>
+							this.logger.error(`Failed to copy asset: ${error.message}`),
+						);
+					}, 100);
+				},
+			);
+			watchers.push({
+				close: () => {
+					clearTimeout(timeout);
+					watcher.close();
+				},
+			});
+		}
+		return watchers;
+	}
+
+	async #bundleDependencies(dependencies, cache, results) {
+		await fs.mkdir(this.paths.appDependenciesDir, { recursive: true });
+
+		const entries = await this.#resolvePrepEntries(dependencies, results);
+		const lock = await this.#readPackageLock();
+		const trees = {};
+		for (const dep of dependencies) {
+			trees[dep] = await this.#dependencyTree(dep, lock);
+		}
+		const prepContext = {
+			versions: await this.#installedVersions(dependencies, lock),
+			trees,
+			microtasticVersion: await this.#microtasticVersion(),
+			sourcemap: this.#sourcemapOption(),
+		};
+		if (this.settings.prepSharedChunks) {
+			// Dependencies with their own options can't share a build
+			const separate = {};
+			const shared = {};
+			for (const [dep, input] of Object.entries(entries)) {
+				const hasOptions = Object.keys(this.#dependencyOptions(dep)).length;
+				(hasOptions ? separate : shared)[dep] = input;
+			}
+			results.push(
+				...(await this.#prepSeparate(separate, cache, prepContext)),
+				...(await this.#prepShared(shared, cache, prepContext)),
+			);
+		} else {
+			results.push(...(await this.#prepSeparate(entries, cache, prepContext)));
+		}
+
+		// Only dependencies with a bundle on disk have a cache entry
+		await this.#writePrepCache(cache);
+		await this.#writeImportMap(
+			Object.keys(entries).filter((dep) => cache[dep]),
+		);
+	}
+
+	async prep(options = {}) {
 		try {
 			await this.loadAppPackage();
 			if (!this.appPkg)
@@ -474,40 +993,44 @@ class CommandHandler {
 
 			this.logger.info("Starting dependency preparation...");
 
-			// Early return if no dependencies
-			const dependencies = Object.keys(this.appPkg.dependencies || {});
-			if (dependencies.length === 0) {
-				this.logger.info("No dependencies found in package.json");
-				return;
+			// Package names plus configured subpath entries like "lodash-es/debounce"
+			const dependencies = [
+				...new Set([
+					...Object.keys(this.appPkg.dependencies || {}),
+					...(this.settings.prepEntries ?? []),
+					...(this.appPkg.microtastic?.prepEntries ?? []),
+				]),
+			];
+
+			// --force starts from an empty dependencies directory. The asset cache is kept,
+			// it records copies outside of it that are still pruned on the next copy.
+			if (options.force) {
+				const assetCache = await this.#readAssetCache();
+				await FileManager.deleteRecursive(this.paths.appDependenciesDir);
+				if (Object.keys(assetCache).length > 0) {
+					await this.#writeAssetCache(assetCache);
+				}
 			}
+			const cache = await this.#readPrepCache();
 
-			// Reset dependencies directory
-			await FileManager.deleteRecursive(this.paths.appDependenciesDir);
-			await fs.mkdir(this.paths.appDependenciesDir, { recursive: true });
-
-			// Bundle each dependency
-			const bundleConfig = {
-				plugins: [nodePolyfills()],
-			};
-
-			for (const dep of dependencies) {
-				try {
-					this.logger.info(`Processing dependency: ${dep}`);
-					const bundle = await rolldown({
-						...bundleConfig,
-						input: `${this.paths.projectNodeModulesDir}${dep}`,
-					});
-
-					await bundle.write({
-						format: "es",
-						entryFileNames: `${dep}.js`,
-						dir: this.paths.appDependenciesDir,
-					});
+			// Delete bundles of dependencies that were removed from package.json
+			const removed = Object.keys(cache).filter(
+				(dep) => !dependencies.includes(dep),
+			);
+			for (const dep of removed) {
+				await this.#deleteDependencyFiles(cache[dep].files);
+				delete cache[dep];
+				this.logger.info(`Removed ${dep}`);
+			}
 
-					await bundle.close();
-					this.logger.success(`Successfully bundled ${dep}`);
-				} catch (error) {
-					this.logger.error(`Error bundling ${dep}: ${error.message}`);
+			const results = [];
+			if (dependencies.length > 0) {
+				await this.#bundleDependencies(dependencies, cache, results);
+			} else {
+				this.logger.info("No dependencies found in package.json");
+				if (removed.length > 0) {
+					await this.#writePrepCache(cache);
+					await this.#writeImportMap([]);
 				}
 			}
 
@@ -517,30 +1040,51 @@ class CommandHandler {
 				this.logger.info(`Copying ${assets.length} assets...`);
 				for (const asset of assets) {
 					try {
-						const { source, dest } = asset;
-						const srcPath = path.join(this.paths.projectDir, source);
-						const destPath = path.join(this.paths.projectDir, dest);
-
-						// Check if source is a directory or file
-						const stats = await fs.stat(srcPath).catch(() => null);
-						if (!stats) {
-							throw new Error(`Source path does not exist: ${source}`);
-						}
-
-						if (stats.isDirectory()) {
-							await FileManager.copyRecursive(srcPath, destPath, []);
-							this.logger.success(`Copied directory ${dest}`);
-						} else {
-							await FileManager.copyFile(srcPath, destPath);
-							this.logger.success(`Copied ${dest}`);
-						}
+						await this.#copyAsset(asset);
 					} catch (error) {
 						this.logger.error(`Failed to copy asset: ${error.message}`);
 					}
 				}
 			}
+			// Delete copies of assetCopy entries that were removed from package.json
+			const assetKeys = new Set(assets.map((asset) => JSON.stringify(asset)));
+			const staleAssets = Object.keys(await this.#readAssetCache()).filter(
+				(key) => !assetKeys.has(key),
+			);
+			if (staleAssets.length > 0) {
+				await this.#updateAssetCache(async (assetCache) => {
+					for (const key of staleAssets) {
+						await this.#deleteAssetOutputs(assetCache[key] ?? {});
+						delete assetCache[key];
+					}
+				});
+			}
+
+			this.#logPrepSummary(results);
+			const sizes = await this.#measureFiles(this.paths.appSrcDir, [
+				...new Set(
+					Object.values(cache).flatMap((entry) =>
+						entry.files.map((file) =>
+							path.join(this.paths.appDependenciesDir, file),
+						),
+					),
+				),
+			]);
+			await this.#reportSizes("prep", sizes);
 
-			this.logger.success("Dependency preparation completed");
+			const failed = results.filter((result) => result.status === "failed");
+			if (failed.length > 0 && !options.keepGoing) {
+				throw new MicrotasticError(
+					`${failed.length} of ${dependencies.length} dependencies failed: ${failed.map((result) => result.name).join(", ")}`,
+					"PREP_FAILED",
+				);
+			}
+			this.#checkBudgets(sizes);
+			this.logger.success(
+				failed.length > 0
+					? `Dependency preparation completed with ${failed.length} failed`
+					: "Dependency preparation completed",
+			);
 		} catch (error) {
 			this.logger.error(`Prep failed: ${error.message}`);
 			if (this.settings.debug) console.error(error.stack);
@@ -548,100 +1092,1501 @@ class CommandHandler {
 		}
 	}
 
-	async prod() {
-		try {
-			this.logger.info("Starting production build...");
+	// Raw, gzip and brotli sizes of files, labelled relative to dir. Source maps are not
+	// downloaded by users, so they are left out.
+	async #measureFiles(dir, files) {
+		const sizes = [];
+		for (const filePath of files) {
+			if (CONFIG.SOURCE_MAP.test(filePath)) continue;
+			const content = await fs.readFile(filePath).catch(() => null);
+			if (!content) continue;
+			sizes.push({
+				file: this.#urlPath(dir, filePath),
+				raw: content.length,
+				gzip: zlib.gzipSync(content).length,
+				brotli: zlib.brotliCompressSync(content).length,
+			});
+		}
+		return sizes.sort((a, b) => a.file.localeCompare(b.file));
+	}
 
-			// Load and validate package.json
-			await this.loadAppPackage();
-			if (!this.appPkg) {
-				throw new MicrotasticError(
-					"Failed to load package.json",
-					"PACKAGE_JSON_ERROR",
-				);
-			}
+	// Prints the size table and updates the JSON report (sizeReport) if one is configured
+	async #reportSizes(command, sizes) {
+		if (sizes.length === 0) return;
+		const total = (key) => sizes.reduce((sum, size) => sum + size[key], 0);
+		const format = (size) => [
+			size.file,
+			Logger.formatSize(size.raw),
+			Logger.formatSize(size.gzip),
+			Logger.formatSize(size.brotli),
+		];
+		this.logger.table([
+			["File", "Raw", "Gzip", "Brotli"],
+			...sizes.map(format),
+			format({
+				file: "Total",
+				raw: total("raw"),
+				gzip: total("gzip"),
+				brotli: total("brotli"),
+			}),
+		]);
+
+		if (!this.settings.sizeReport) return;
+		const reportPath = path.join(
+			this.paths.projectDir,
+			this.settings.sizeReport,
+		);
+		const report = await fs
+			.readFile(reportPath, "utf8")
+			.then((content) => JSON.parse(content))
+			.catch(() => ({}));
+		report[command] = { date: new Date().toISOString(), files: sizes };
+		await fs.mkdir(path.dirname(reportPath), { recursive: true });
+		await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+	}
 
-			// Clean and prepare directories
-			await FileManager.deleteRecursive(this.paths.publicDir);
-			await FileManager.copyRecursive(
-				this.paths.appRootDir,
-				this.paths.publicDir,
-				[path.basename(this.paths.appSrcDir)],
+	// "50 kB" -> 51200, numbers are bytes
+	static #parseSize(size) {
+		if (typeof size === "number") return size;
+		const match = String(size).match(/^\s*([\d.]+)\s*(b|kb|mb)?\s*$/i);
+		if (!match) {
+			throw new MicrotasticError(`Invalid size: ${size}`, "CONFIG_ERROR");
+		}
+		const units = { b: 1, kb: 1024, mb: 1024 * 1024 };
+		return Math.round(
+			Number(match[1]) * units[(match[2] ?? "b").toLowerCase()],
+		);
+	}
+
+	// Each budget limits the raw, gzip and/or brotli size of every file matching its glob
+	#checkBudgets(sizes) {
+		const exceeded = [];
+		for (const budget of this.settings.sizeBudgets ?? []) {
+			const matcher = FileManager.globToRegExp(budget.path);
+			for (const size of sizes.filter((size) => matcher.test(size.file))) {
+				for (const key of ["raw", "gzip", "brotli"]) {
+					if (budget[key] === undefined) continue;
+					const limit = CommandHandler.#parseSize(budget[key]);
+					if (size[key] > limit) {
+						exceeded.push(
+							`${size.file} is ${Logger.formatSize(size[key])} ${key}, budget ${Logger.formatSize(limit)}`,
+						);
+					}
+				}
+			}
+		}
+		if (exceeded.length > 0) {
+			throw new MicrotasticError(
+				`Size budget exceeded:\n  ${exceeded.join("\n  ")}`,
+				"BUDGET_EXCEEDED",
 			);
+		}
+	}
 
-			// Bundle application
-			this.logger.info("Bundling application...");
-			const bundle = await rolldown({
-				input: this.paths.appSrcEntryPath,
-				preserveEntrySignatures: false,
-			});
+	static #exportConditions = ["browser", "import", "module", "default"];
 
-			await bundle.write({
-				format: "es",
-				entryFileNames: CONFIG.FILES.BUNDLE,
-				chunkFileNames: CONFIG.FILES.BUNDLE_CHUNK,
-				dir: this.paths.publicSrcDir,
-				minify: this.settings.minifyBuild,
-			});
-			await bundle.close();
+	// "@scope/pkg/sub" -> "@scope/pkg", "pkg/sub" -> "pkg"
+	static #packageName(specifier) {
+		const parts = specifier.split("/");
+		return parts.slice(0, specifier.startsWith("@") ? 2 : 1).join("/");
+	}
 
-			// Generate service worker if enabled
-			if (this.settings.genServiceWorker) {
-				const swTemplate = await fs.readFile(
-					path.join(__dirname, CONFIG.FILES.SW_TEMPLATE),
-					"utf8",
+	static #pickCondition(target, conditions) {
+		if (typeof target === "string") return target;
+		if (Array.isArray(target)) {
+			for (const item of target) {
+				const resolved = CommandHandler.#pickCondition(item, conditions);
+				if (resolved) return resolved;
+			}
+		} else if (target && typeof target === "object") {
+			// Conditions are matched in the order the package lists them
+			for (const [condition, value] of Object.entries(target)) {
+				if (!conditions.includes(condition)) continue;
+				const resolved = CommandHandler.#pickCondition(value, conditions);
+				if (resolved) return resolved;
+			}
+		}
+		return null;
+	}
+
+	static #exportsMap(exportsField) {
+		const isSubpathMap =
+			exportsField &&
+			typeof exportsField === "object" &&
+			!Array.isArray(exportsField) &&
+			Object.keys(exportsField).some((key) => key.startsWith("."));
+		return isSubpathMap ? exportsField : { ".": exportsField };
+	}
+
+	// Resolves a subpath like "./debounce" through a package.json "exports" field, including
+	// "./*" patterns (the longest matching prefix wins)
+	static #resolveExport(
+		exportsField,
+		subpath,
+		conditions = CommandHandler.#exportConditions,
+	) {
+		const map = CommandHandler.#exportsMap(exportsField);
+		if (map[subpath] !== undefined) {
+			return CommandHandler.#pickCondition(map[subpath], conditions);
+		}
+		const pattern = Object.keys(map)
+			.filter((key) => {
+				const [prefix, suffix] = key.split("*");
+				return (
+					suffix !== undefined &&
+					subpath.length >= prefix.length + suffix.length &&
+					subpath.startsWith(prefix) &&
+					subpath.endsWith(suffix)
 				);
-				const files = await FileManager.listRecursive(CONFIG.DIRS.PUBLIC);
-				const renderTemplate = (template, data) =>
-					template.replace(/\{\{(\w+)\}\}/g, (_, key) => data[key] ?? "");
-				const swContent = renderTemplate(swTemplate, {
-					cacheName: `${this.appPkg.name}-${this.appPkg.version}-${Date.now()}`,
-					cacheFiles: JSON.stringify(
-						files,
-						null,
-						this.settings.minifyBuild ? 0 : 4,
-					),
-				});
-				const swPath = path.join(CONFIG.DIRS.PUBLIC, "sw.js");
-				await fs.writeFile(swPath, swContent);
-
-				if (this.settings.minifyBuild) {
-					const swBundle = await rolldown({ input: swPath });
-					await swBundle.write({
-						format: "es",
-						entryFileNames: "sw.js",
-						dir: CONFIG.DIRS.PUBLIC,
-						minify: true,
-					});
-					await swBundle.close();
-				}
+			})
+			.sort((a, b) => b.length - a.length)[0];
+		if (!pattern) return null;
+		const [prefix, suffix] = pattern.split("*");
+		const match = subpath.slice(prefix.length, subpath.length - suffix.length);
+		return (
+			CommandHandler.#pickCondition(map[pattern], conditions)?.replaceAll(
+				"*",
+				match,
+			) ?? null
+		);
+	}
+
+	// Maps each dependency name to its rolldown input, resolved through the package's
+	// "exports" map. Packages without one (or without a matching main export condition)
+	// fall back to rolldown's own resolution of the package directory.
+	async #resolvePrepEntries(dependencies, results) {
+		const entries = {};
+		for (const dep of dependencies) {
+			const pkgName = CommandHandler.#packageName(dep);
+			const pkgDir = path.join(this.paths.projectNodeModulesDir, pkgName);
+			const pkg = await fs
+				.readFile(path.join(pkgDir, "package.json"), "utf8")
+				.then((content) => JSON.parse(content))
+				.catch(() => null);
+			const conditions = this.#dependencyOptions(dep).conditions;
+			const subpath =
+				dep === pkgName ? "." : `./${dep.slice(pkgName.length + 1)}`;
+
+			if (pkg?.exports === undefined) {
+				entries[dep] =
+					subpath === "."
+						? `${this.paths.projectNodeModulesDir}${dep}`
+						: path.join(pkgDir, subpath);
+				continue;
 			}
 
-			// Log build completion time
-			const hrend = process.hrtime(this.hrstart);
-			this.logger.success(
-				`Build completed in ${hrend[0]}s ${Math.round(hrend[1] / 1000000)}ms`,
+			if (
+				subpath === "." &&
+				CommandHandler.#exportsMap(pkg.exports)["."] === undefined
+			) {
+				this.logger.info(
+					`Skipping ${dep}: it has no main export, list its subpaths in prepEntries`,
+				);
+				results.push({ name: dep, status: "skipped" });
+				continue;
+			}
+
+			const target = CommandHandler.#resolveExport(
+				pkg.exports,
+				subpath,
+				conditions,
 			);
-		} catch (error) {
-			this.logger.error(`Build failed: ${error.message}`);
-			if (this.settings.debug) console.error(error.stack);
-			throw error;
+			if (target) {
+				entries[dep] = path.join(pkgDir, target);
+			} else if (subpath === ".") {
+				entries[dep] = `${this.paths.projectNodeModulesDir}${dep}`;
+			} else {
+				this.logger.error(
+					`Cannot resolve ${dep}: "${subpath}" is not exported by ${pkgName}`,
+				);
+				results.push({ name: dep, status: "failed" });
+			}
 		}
+		return entries;
 	}
 
-	dev() {
-		const hotReload = this.settings.hotReload ?? CONFIG.DEFAULTS.hotReload;
-		const server = new DevServer(
-			this.paths.appRootDir,
-			MIME_TYPES,
-			hotReload,
-			this.paths.appRootDir,
-		);
-		const httpServer = server.createServer();
-		httpServer.listen(this.settings.serverPort);
+	// Cache key covers everything that affects the bundle output
+	#prepKey(context, data) {
+		return createHash("sha256")
+			.update(
+				JSON.stringify({
+					...data,
+					microtastic: context.microtasticVersion,
+					...(context.sourcemap && { sourcemap: context.sourcemap }),
+				}),
+			)
+			.digest("hex");
+	}
+
+	// Per-dependency options from "deps" in .microtastic or "microtastic.deps" in package.json.
+	// A subpath entry uses its own block if it has one, otherwise its package's.
+	#dependencyOptions(dep) {
+		const deps = {
+			...this.appPkg.microtastic?.deps,
+			...this.settings.deps,
+		};
+		return deps[dep] ?? deps[CommandHandler.#packageName(dep)] ?? {};
+	}
+
+	#dependencyBuildOptions(options = {}) {
+		return {
+			plugins: options.polyfills === false ? [] : [nodePolyfills()],
+			...(options.external && { external: options.external }),
+			...(options.define && { transform: { define: options.define } }),
+			...(options.conditions && {
+				resolve: { conditionNames: options.conditions },
+			}),
+		};
+	}
+
+	// One rolldown build per dependency
+	async #prepSeparate(entries, cache, context) {
+		const { versions, trees } = context;
+		const results = [];
+		for (const [dep, input] of Object.entries(entries)) {
+			const options = this.#dependencyOptions(dep);
+			const key = this.#prepKey(context, {
+				version: versions[dep],
+				tree: trees[dep],
+				options,
+			});
+			const cached = cache[dep];
+			if (
+				cached?.key === key &&
+				(await this.#dependencyFilesExist(cached.files))
+			) {
+				results.push({
+					name: dep,
+					status: "cached",
+					size: await this.#dependencySize(cached.files),
+				});
+				this.logger.info(`Up to date: ${dep}@${versions[dep]}`);
+				continue;
+			}
+
+			const start = Date.now();
+			try {
+				this.logger.info(`Processing dependency: ${dep}`);
+				if (cached) await this.#deleteDependencyFiles(cached.files);
+				delete cache[dep];
+				const bundle = await rolldown({
+					...this.#dependencyBuildOptions(options),
+					input,
+				});
+
+				const { output } = await bundle.write({
+					format: "es",
+					entryFileNames: `${dep}.js`,
+					dir: this.paths.appDependenciesDir,
+					minify: options.minify ?? false,
+					sourcemap: context.sourcemap,
+				});
+
+				await bundle.close();
+				cache[dep] = {
+					version: versions[dep],
+					key,
+					files: output.map((file) => file.fileName),
+				};
+				results.push({
+					name: dep,
+					status: "built",
+					size: await this.#dependencySize(cache[dep].files),
+					time: Date.now() - start,
+				});
+				this.logger.success(`Successfully bundled ${dep}`);
+			} catch (error) {
+				results.push({ name: dep, status: "failed", time: Date.now() - start });
+				this.logger.error(`Error bundling ${dep}: ${error.message}`);
+			}
+		}
+		return results;
+	}
+
+	// A single multi-entry rolldown build, so packages shared between dependencies end up
+	// in one chunk and load once. Any change rebuilds all dependencies together.
+	async #prepShared(entries, cache, context) {
+		const { versions, trees } = context;
+		const dependencies = Object.keys(entries);
+		if (dependencies.length === 0) return [];
+		const key = this.#prepKey(context, {
+			versions: dependencies.map((dep) => [dep, versions[dep], trees[dep]]),
+			shared: true,
+		});
+		const upToDate = await Promise.all(
+			dependencies.map(
+				async (dep) =>
+					cache[dep]?.key === key &&
+					(await this.#dependencyFilesExist(cache[dep].files)),
+			),
+		);
+		// Each entry's own file, plus one row for the chunks they share
+		const report = async (status, time) => {
+			const results = [];
+			for (const dep of dependencies) {
+				results.push({
+					name: dep,
+					status,
+					size: await this.#dependencySize(cache[dep].files.slice(0, 1)),
+				});
+			}
+			results.push({
+				name: "(shared chunks)",
+				status,
+				size: await this.#dependencySize(cache[dependencies[0]].files.slice(1)),
+				time,
+			});
+			return results;
+		};
+		if (upToDate.every(Boolean)) {
+			this.logger.info(`Up to date: ${dependencies.join(", ")}`);
+			return report("cached");
+		}
+
+		for (const dep of dependencies) {
+			if (cache[dep]) await this.#deleteDependencyFiles(cache[dep].files);
+			delete cache[dep];
+		}
+
+		const start = Date.now();
+		try {
+			this.logger.info(
+				`Processing dependencies with shared chunks: ${dependencies.join(", ")}`,
+			);
+			const bundle = await rolldown({
+				...this.#dependencyBuildOptions(),
+				input: entries,
+			});
+
+			const { output } = await bundle.write({
+				format: "es",
+				entryFileNames: "[name].js",
+				chunkFileNames: CONFIG.FILES.DEPENDENCY_CHUNK,
+				dir: this.paths.appDependenciesDir,
+				sourcemap: context.sourcemap,
+			});
+
+			await bundle.close();
+			const entryFiles = output.filter(
+				(file) => file.type === "chunk" && file.isEntry,
+			);
+			const entryMaps = new Set(
+				entryFiles.map((file) => file.sourcemapFileName).filter(Boolean),
+			);
+			const sharedFiles = output
+				.filter((file) => !entryFiles.includes(file))
+				.filter((file) => !entryMaps.has(file.fileName))
+				.map((file) => file.fileName);
+			for (const file of entryFiles) {
+				cache[file.name] = {
+					version: versions[file.name],
+					key,
+					files: [
+						file.fileName,
+						...sharedFiles,
+						...(file.sourcemapFileName ? [file.sourcemapFileName] : []),
+					],
+				};
+			}
+			this.logger.success(
+				`Successfully bundled ${dependencies.length} dependencies`,
+			);
+			return report("built", Date.now() - start);
+		} catch (error) {
+			this.logger.error(`Error bundling dependencies: ${error.message}`);
+			const time = Date.now() - start;
+			return dependencies.map((dep) => ({ name: dep, status: "failed", time }));
+		}
+	}
+
+	async #dependencySize(files = []) {
+		let size = 0;
+		for (const file of files.filter((file) => !CONFIG.SOURCE_MAP.test(file))) {
+			const stats = await fs
+				.stat(path.join(this.paths.appDependenciesDir, file))
+				.catch(() => null);
+			size += stats?.size ?? 0;
+		}
+		return size;
+	}
+
+	#logPrepSummary(results) {
+		if (results.length === 0) return;
+		this.logger.table([
+			["Dependency", "Status", "Size", "Time"],
+			...results.map(({ name, status, size, time }) => [
+				name,
+				status,
+				size === undefined ? "-" : Logger.formatSize(size),
+				time === undefined ? "-" : `${time}ms`,
+			]),
+		]);
+	}
+
+	get #prepCachePath() {
+		return path.join(this.paths.appDependenciesDir, CONFIG.FILES.PREP_CACHE);
+	}
+
+	async #readPrepCache() {
+		try {
+			return JSON.parse(await fs.readFile(this.#prepCachePath, "utf8"));
+		} catch {
+			return {};
+		}
+	}
+
+	async #writePrepCache(cache) {
+		await fs.mkdir(this.paths.appDependenciesDir, { recursive: true });
+		await fs.writeFile(this.#prepCachePath, JSON.stringify(cache, null, 2));
+	}
+
+	async #dependencyFilesExist(files = []) {
+		for (const file of files) {
+			const filePath = path.join(this.paths.appDependenciesDir, file);
+			if (!(await FileManager.checkExists(filePath))) return false;
+		}
+		return files.length > 0;
+	}
+
+	async #deleteDependencyFiles(files = []) {
+		for (const file of files) {
+			await FileManager.deleteRecursive(
+				path.join(this.paths.appDependenciesDir, file),
+			);
+		}
+	}
+
+	async #readPackageLock() {
+		return fs
+			.readFile(
+				path.join(this.paths.projectDir, CONFIG.FILES.PACKAGE_LOCK),
+				"utf8",
+			)
+			.then((content) => JSON.parse(content).packages ?? {})
+			.catch(() => ({}));
+	}
+
+	// A package-lock.json entry by install location (e.g. "node_modules/a/node_modules/b"),
+	// falling back to the installed package.json
+	async #lockedPackage(lock, location) {
+		const entry = lock[location];
+		if (entry) return entry.link ? (lock[entry.resolved] ?? null) : entry;
+		return fs
+			.readFile(
+				path.join(
+					path.dirname(this.paths.projectNodeModulesDir),
+					location,
+					"package.json",
+				),
+				"utf8",
+			)
+			.then((content) => JSON.parse(content))
+			.catch(() => null);
+	}
+
+	// Installed versions from package-lock.json, falling back to node_modules/<dep>/package.json
+	async #installedVersions(dependencies, lock) {
+		const versions = {};
+		for (const dep of dependencies) {
+			const pkg = await this.#lockedPackage(
+				lock,
+				`node_modules/${CommandHandler.#packageName(dep)}`,
+			);
+			versions[dep] = pkg?.version ?? null;
+		}
+		return versions;
+	}
+
+	// Install locations and versions of every package a dependency pulls in, itself included,
+	// so updating a transitive package (e.g. lit-html under lit) invalidates its prep cache.
+	// Packages are looked up like Node resolves them: the nearest node_modules upwards.
+	async #dependencyTree(dep, lock) {
+		const tree = {};
+		const queue = [`node_modules/${CommandHandler.#packageName(dep)}`];
+		while (queue.length) {
+			const location = queue.shift();
+			if (location in tree) continue;
+			const pkg = await this.#lockedPackage(lock, location);
+			if (!pkg) continue;
+			tree[location] = pkg.version ?? null;
+			const names = Object.keys({
+				...pkg.dependencies,
+				...pkg.optionalDependencies,
+				...pkg.peerDependencies,
+			});
+			for (const name of names) {
+				let dir = location;
+				while (dir) {
+					const candidate = `${dir}/node_modules/${name}`;
+					if (await this.#lockedPackage(lock, candidate)) {
+						queue.push(candidate);
+						break;
+					}
+					const parent = dir.lastIndexOf("/node_modules/");
+					dir = parent === -1 ? "" : dir.slice(0, parent);
+				}
+				if (!dir) queue.push(`node_modules/${name}`);
+			}
+		}
+		return Object.fromEntries(Object.entries(tree).sort());
+	}
+
+	async #microtasticVersion() {
+		return fs
+			.readFile(path.join(this.paths.microtasticDir, "package.json"), "utf8")
+			.then((content) => JSON.parse(content).version)
+			.catch(() => null);
+	}
+
+	get #appIndexHtmlPath() {
+		return path.join(this.paths.appRootDir, CONFIG.FILES.INDEX_HTML);
+	}
+
+	async #readImportMap() {
+		const html = await fs
+			.readFile(this.#appIndexHtmlPath, "utf8")
+			.catch(() => "");
+		const match = html.match(CONFIG.IMPORT_MAP);
+		if (!match) return {};
+		try {
+			return JSON.parse(match[1]).imports ?? {};
+		} catch (error) {
+			throw new MicrotasticError(
+				`Invalid import map in ${CONFIG.FILES.INDEX_HTML}: ${error.message}`,
+				"IMPORT_MAP_ERROR",
+			);
+		}
+	}
+
+	// Maps each bundled dependency to its file in app/src/dependencies. Entries that point
+	// elsewhere (CDN URLs, app modules) are kept, stale dependency entries are dropped.
+	async #writeImportMap(dependencies) {
+		const html = await fs
+			.readFile(this.#appIndexHtmlPath, "utf8")
+			.catch(() => null);
+		if (html === null) {
+			this.logger.info(
+				`No ${CONFIG.FILES.INDEX_HTML} found, skipping import map`,
+			);
+			return;
+		}
+
+		const depsUrl = `/${this.#urlPath(this.paths.appRootDir, this.paths.appDependenciesDir)}/`;
+		const imports = Object.fromEntries(
+			Object.entries(await this.#readImportMap()).filter(
+				([, url]) => !url.startsWith(depsUrl),
+			),
+		);
+		for (const dep of dependencies) imports[dep] = `${depsUrl}${dep}.js`;
+
+		const script = `<script type="importmap">\n${JSON.stringify({ imports }, null, 2)}\n</script>`;
+		let updated;
+		if (CONFIG.IMPORT_MAP.test(html)) {
+			updated = html.replace(CONFIG.IMPORT_MAP, () => script);
+		} else {
+			// Import maps must come before any module script that uses them
+			const anchor = html.match(/<script\b|<\/head>/i);
+			if (!anchor) {
+				this.logger.error(
+					`Could not find a place for the import map in ${CONFIG.FILES.INDEX_HTML}`,
+				);
+				return;
+			}
+			updated = `${html.slice(0, anchor.index)}${script}\n${html.slice(anchor.index)}`;
+		}
+		if (updated !== html) {
+			await fs.writeFile(this.#appIndexHtmlPath, updated);
+			this.logger.success(`Updated import map in ${CONFIG.FILES.INDEX_HTML}`);
+		}
+	}
+
+	// Resolves bare specifiers through the import map in app/index.html, the same map the
+	// browser uses in the dev server. Exact keys win over the longest matching "prefix/" key.
+	#importMapPlugin() {
+		let imports = {};
+		const resolve = (specifier) => {
+			if (imports[specifier]) return imports[specifier];
+			const prefix = Object.keys(imports)
+				.filter((key) => key.endsWith("/") && specifier.startsWith(key))
+				.sort((a, b) => b.length - a.length)[0];
+			return prefix && imports[prefix] + specifier.slice(prefix.length);
+		};
+		return {
+			name: "microtastic-import-map",
+			buildStart: async () => {
+				imports = await this.#readImportMap();
+			},
+			resolveId: (source) => {
+				const target = resolve(source);
+				if (!target) return null;
+				if (CONFIG.EXTERNAL_URL.test(target)) {
+					return { id: target, external: true };
+				}
+				return path.join(this.paths.appRootDir, target);
+			},
+		};
+	}
+
+	// KEY=value lines of a .env file, with # comments, "export" and quoted values
+	static #parseEnv(content) {
+		const env = {};
+		for (const line of content.split(/\r?\n/)) {
+			const match = line.match(CONFIG.ENV_LINE);
+			if (!match) continue;
+			const [, key, raw] = match;
+			const quote = raw[0];
+			const end = /["'`]/.test(quote ?? "") ? raw.indexOf(quote, 1) : -1;
+			if (end > 0) {
+				const value = raw.slice(1, end);
+				env[key] = quote === '"' ? value.replace(/\\n/g, "\n") : value;
+			} else {
+				env[key] = raw.replace(/\s+#.*$/, "").trim();
+			}
+		}
+		return env;
+	}
+
+	// Variables with the public prefix from the .env files and the process environment
+	// (which wins), plus MODE, DEV and PROD
+	async #loadEnv(mode) {
+		const prefix = this.settings.envPrefix ?? CONFIG.DEFAULTS.envPrefix;
+		if (!prefix) {
+			throw new MicrotasticError(
+				"envPrefix can't be empty, it would expose every environment variable",
+				"CONFIG_ERROR",
+			);
+		}
+		const env = {};
+		for (const file of CONFIG.FILES.ENV) {
+			const content = await fs
+				.readFile(
+					path.join(this.paths.projectDir, file.replace("[mode]", mode)),
+					"utf8",
+				)
+				.catch(() => null);
+			if (content !== null)
+				Object.assign(env, CommandHandler.#parseEnv(content));
+		}
+		Object.assign(env, process.env);
+		return {
+			...Object.fromEntries(
+				Object.entries(env)
+					.filter(([key]) => key.startsWith(prefix))
+					.sort(([a], [b]) => a.localeCompare(b)),
+			),
+			MODE: mode,
+			DEV: mode !== "production",
+			PROD: mode === "production",
+		};
+	}
+
+	// rolldown define entries for import.meta.env and each of its keys
+	static #envDefines(env) {
+		const define = { "import.meta.env": JSON.stringify(env) };
+		for (const [key, value] of Object.entries(env)) {
+			define[`import.meta.env.${key}`] = JSON.stringify(value);
+		}
+		return define;
+	}
+
+	// The dev server's import.meta.env replacement, run through rolldown's transform with
+	// the same defines as the production build so strings and comments stay untouched
+	static async #applyEnv(filePath, code, env) {
+		const result = await transform(path.basename(filePath), code, {
+			define: CommandHandler.#envDefines(env),
+			sourcemap: true,
+		});
+		// Serve modules that don't parse as they are, so the browser reports the error
+		if (result.errors.length) return code;
+		const map = Buffer.from(JSON.stringify(result.map)).toString("base64");
+		return `${result.code}//# sourceMappingURL=data:application/json;base64,${map}\n`;
+	}
+
+	// Validated sourceMaps setting, as rolldown's output.sourcemap value
+	#sourcemapOption() {
+		const mode = this.settings.sourceMaps ?? CONFIG.DEFAULTS.sourceMaps;
+		if (!Object.hasOwn(CONFIG.SOURCE_MAP_MODES, String(mode))) {
+			throw new MicrotasticError(
+				`Invalid sourceMaps setting: ${JSON.stringify(mode)}, expected false, "external", "hidden" or "inline"`,
+				"CONFIG_ERROR",
+			);
+		}
+		return CONFIG.SOURCE_MAP_MODES[mode];
+	}
+
+	#appBundleOptions(hashFileNames = false) {
+		return {
+			input: this.paths.appSrcEntryPath,
+			plugins: [this.#importMapPlugin()],
+			transform: { define: CommandHandler.#envDefines(this.#env) },
+			preserveEntrySignatures: false,
+			output: {
+				format: "es",
+				entryFileNames: hashFileNames
+					? CONFIG.FILES.BUNDLE_CHUNK
+					: CONFIG.FILES.BUNDLE,
+				chunkFileNames: CONFIG.FILES.BUNDLE_CHUNK,
+				dir: this.paths.publicSrcDir,
+				minify: this.settings.minifyBuild,
+				sourcemap: this.#sourcemapOption(),
+			},
+		};
+	}
+
+	async #bundleApp(hashFileNames = false) {
+		const { output, ...input } = this.#appBundleOptions(hashFileNames);
+		const bundle = await rolldown(input);
+		const result = await bundle.write(output);
+		await bundle.close();
+		return result.output;
+	}
+
+	// Relative path with forward slashes, as used in URLs and the asset manifest
+	#urlPath(dir, filePath) {
+		return path.relative(dir, filePath).split(path.sep).join("/");
+	}
+
+	// Entry and lazy chunks by source module. Shared chunks have no source module and are
+	// listed under their own name, so every hashed chunk is in the manifest.
+	#chunkManifest(output) {
+		const manifest = {};
+		const srcDir = this.#urlPath(this.paths.publicDir, this.paths.publicSrcDir);
+		for (const chunk of output) {
+			if (chunk.type !== "chunk") continue;
+			const file = `${srcDir}/${chunk.fileName}`;
+			const source = chunk.facadeModuleId
+				? this.#urlPath(this.paths.appRootDir, chunk.facadeModuleId)
+				: file;
+			manifest[source] = file;
+		}
+		return manifest;
+	}
+
+	// Adds a content-hashed copy next to every static file copied from app/. The originals
+	// stay in place so relative references from CSS and other assets keep resolving.
+	async #hashStaticAssets() {
+		const manifest = {};
+		const srcDirName = path.basename(this.paths.publicSrcDir);
+		const files = await FileManager.listRecursive(this.paths.publicDir);
+		for (const file of files) {
+			if (file.split(path.sep)[0] === srcDirName) continue;
+			if (path.extname(file) === ".html") continue;
+			// The app looks the asset map up by its plain name
+			if (file === CONFIG.FILES.ASSET_MAP) continue;
+			const filePath = path.join(this.paths.publicDir, file);
+			const hash = FileManager.contentHash(await fs.readFile(filePath));
+			const { dir, name, ext } = path.parse(file);
+			const hashedFile = path.join(dir, `${name}-${hash}${ext}`);
+			await FileManager.copyFile(
+				filePath,
+				path.join(this.paths.publicDir, hashedFile),
+			);
+			const source = file.split(path.sep).join("/");
+			manifest[source] = hashedFile.split(path.sep).join("/");
+		}
+		return manifest;
+	}
+
+	// Points src and href attributes in the copied HTML files at the hashed outputs
+	async #rewriteHtmlReferences(manifest) {
+		const files = await FileManager.listRecursive(this.paths.publicDir);
+		for (const file of files.filter((f) => path.extname(f) === ".html")) {
+			const filePath = path.join(this.paths.publicDir, file);
+			const htmlDir = path.posix.dirname(file.split(path.sep).join("/"));
+			const html = await fs.readFile(filePath, "utf8");
+			const rewritten = html.replace(
+				CONFIG.HTML_REFERENCE,
+				(match, prefix, url, suffix) => {
+					if (CONFIG.EXTERNAL_URL.test(url)) return match;
+					const fromRoot = url.startsWith("/");
+					const source = path.posix.normalize(
+						fromRoot ? url.slice(1) : path.posix.join(htmlDir, url),
+					);
+					const output = manifest[source];
+					if (!output) return match;
+					return `${prefix}${
+						fromRoot ? `/${output}` : path.posix.relative(htmlDir, output)
+					}${suffix}`;
+				},
+			);
+			if (rewritten !== html) await fs.writeFile(filePath, rewritten);
+		}
+	}
+
+	// Paths, relative to public/, that were rewritten to the hashed copies: the src and href
+	// attributes of the HTML files and the web manifest icons
+	async #rewrittenReferences() {
+		const webManifest = await fs
+			.readFile(
+				path.join(this.paths.publicDir, CONFIG.FILES.WEB_MANIFEST),
+				"utf8",
+			)
+			.then((content) => JSON.parse(content))
+			.catch(() => ({}));
+		const references = new Set(
+			(webManifest.icons ?? []).map((icon) => path.posix.normalize(icon.src)),
+		);
+		const files = await FileManager.listRecursive(this.paths.publicDir);
+		for (const file of files.filter((f) => path.extname(f) === ".html")) {
+			const htmlDir = path.posix.dirname(file.split(path.sep).join("/"));
+			const html = await fs.readFile(
+				path.join(this.paths.publicDir, file),
+				"utf8",
+			);
+			for (const [, , url] of html.matchAll(CONFIG.HTML_REFERENCE)) {
+				if (CONFIG.EXTERNAL_URL.test(url)) continue;
+				references.add(
+					path.posix.normalize(
+						url.startsWith("/") ? url.slice(1) : path.posix.join(htmlDir, url),
+					),
+				);
+			}
+		}
+		return references;
+	}
+
+	async #readManifest() {
+		try {
+			return JSON.parse(
+				await fs.readFile(
+					path.join(this.paths.publicDir, CONFIG.FILES.MANIFEST),
+					"utf8",
+				),
+			);
+		} catch {
+			return null;
+		}
+	}
+
+	// Fills {{key}} placeholders in one of the bundled templates
+	async #renderTemplate(name, data) {
+		const template = await fs.readFile(path.join(__dirname, name), "utf8");
+		return template.replace(/\{\{(\w+)\}\}/g, (_, key) => data[key] ?? "");
+	}
+
+	static #swStrategies = [
+		"network-first",
+		"stale-while-revalidate",
+		"cache-first",
+		"network-only",
+	];
+
+	// swRuntimeCaching routes as rendered into sw.js: glob patterns compiled to regular
+	// expressions and the swRuntimeCache limits filled in
+	#serviceWorkerRoutes() {
+		const limits = {
+			...CONFIG.DEFAULTS.swRuntimeCache,
+			...this.settings.swRuntimeCache,
+		};
+		return (this.settings.swRuntimeCaching ?? []).map((route) => {
+			if (typeof route.urlPattern !== "string") {
+				throw new MicrotasticError(
+					"swRuntimeCaching entries need a urlPattern",
+					"CONFIG_ERROR",
+				);
+			}
+			if (!CommandHandler.#swStrategies.includes(route.strategy)) {
+				throw new MicrotasticError(
+					`Unknown service worker strategy "${route.strategy}" for ${route.urlPattern}, expected one of: ${CommandHandler.#swStrategies.join(", ")}`,
+					"CONFIG_ERROR",
+				);
+			}
+			// Patterns without a scheme match same-origin paths
+			const sameOrigin = !CONFIG.EXTERNAL_URL.test(route.urlPattern);
+			const pattern =
+				sameOrigin && !route.urlPattern.startsWith("/")
+					? `/${route.urlPattern}`
+					: route.urlPattern;
+			return {
+				pattern: FileManager.globToRegExp(pattern).source,
+				sameOrigin,
+				strategy: route.strategy,
+				cacheName: `${this.appPkg.name}-${route.cacheName ?? "runtime"}`,
+				maxEntries: route.maxEntries ?? limits.maxEntries,
+				maxAgeSeconds: route.maxAgeSeconds ?? limits.maxAgeSeconds,
+				networkTimeoutSeconds: route.networkTimeoutSeconds ?? null,
+			};
+		});
+	}
+
+	// Files in public/ to precache with their content revisions. swInclude and swExclude
+	// globs match the path in public/ or, for hashed copies, the source path. The worker
+	// itself, source maps and files over swMaxFileSize are left out; the offline page
+	// and the files in required are always included.
+	async #precacheFiles(offlineFallback, required = []) {
+		// With a manifest, static files exist as the original and a hashed copy. Only the
+		// HTML and the web manifest point at hashed copies, so the original is skipped where
+		// they were rewritten to it, and the hashed copy everywhere else. CSS and scripts
+		// keep using the originals. Chunks only exist hashed.
+		const manifest = (await this.#readManifest()) ?? {};
+		const referenced = await this.#rewrittenReferences();
+		const sources = new Map();
+		const skipped = new Set([CONFIG.FILES.MANIFEST]);
+		for (const [source, output] of Object.entries(manifest)) {
+			if (source === output) continue;
+			const original = path.join(this.paths.publicDir, source);
+			if (!(await FileManager.checkExists(original))) {
+				sources.set(output, source);
+			} else if (referenced.has(output)) {
+				sources.set(output, source);
+				skipped.add(source);
+			} else {
+				skipped.add(output);
+			}
+		}
+
+		const patterns = (globs) =>
+			[globs ?? []].flat().map((glob) => FileManager.globToRegExp(glob));
+		const include = this.settings.swInclude
+			? patterns(this.settings.swInclude)
+			: null;
+		const exclude = patterns(this.settings.swExclude);
+		const matches = (regexps, file) =>
+			regexps.some(
+				(regexp) =>
+					regexp.test(file) ||
+					(sources.has(file) && regexp.test(sources.get(file))),
+			);
+		const maxFileSize = CommandHandler.#parseSize(
+			this.settings.swMaxFileSize ?? CONFIG.DEFAULTS.swMaxFileSize,
+		);
+
+		const files = (await FileManager.listRecursive(this.paths.publicDir))
+			.map((file) => file.split(path.sep).join("/"))
+			.sort();
+		// The offline page is served from the precache, so it has to be in it
+		if (offlineFallback && !files.includes(offlineFallback)) {
+			throw new MicrotasticError(
+				`swOfflineFallback ${offlineFallback} not found in ${CONFIG.DIRS.PUBLIC}/`,
+				"CONFIG_ERROR",
+			);
+		}
+
+		const precache = [];
+		const oversized = [];
+		let total = 0;
+		for (const file of files) {
+			if (
+				[file, sources.get(file)].includes(CONFIG.FILES.SERVICE_WORKER) ||
+				skipped.has(file) ||
+				CONFIG.SOURCE_MAP.test(file)
+			) {
+				continue;
+			}
+			const always = file === offlineFallback || required.includes(file);
+			if (!always && include && !matches(include, file)) continue;
+			if (!always && matches(exclude, file)) continue;
+			const content = await fs.readFile(path.join(this.paths.publicDir, file));
+			if (!always && content.length > maxFileSize) {
+				oversized.push(`${file} (${Logger.formatSize(content.length)})`);
+				continue;
+			}
+			// Content revisions let the worker download only changed files, and keep sw.js
+			// byte-identical for identical builds so browsers don't see an update
+			precache.push({ url: file, revision: FileManager.contentHash(content) });
+			total += content.length;
+		}
+
+		if (oversized.length > 0) {
+			this.logger.warning(
+				`Not precaching files over ${Logger.formatSize(maxFileSize)}: ${oversized.join(", ")}`,
+			);
+		}
+		this.logger.warning(
+			`Service worker precaches ${precache.length} files (${Logger.formatSize(total)}) on install`,
+		);
+		return precache;
+	}
+
+	async #generateServiceWorker() {
+		const offlineFallback = this.settings.swOfflineFallback ?? null;
+		const cacheFiles = await this.#precacheFiles(
+			offlineFallback,
+			this.settings.pwa ? [CONFIG.FILES.WEB_MANIFEST] : [],
+		);
+		const indent = this.settings.minifyBuild ? 0 : 4;
+		const swContent = await this.#renderTemplate(CONFIG.FILES.SW_TEMPLATE, {
+			cacheName: `${this.appPkg.name}-precache`,
+			cacheFiles: JSON.stringify(cacheFiles, null, indent),
+			runtimeCaching: JSON.stringify(this.#serviceWorkerRoutes(), null, indent),
+			offlineFallback: JSON.stringify(offlineFallback),
+		});
+		const swPath = path.join(this.paths.publicDir, CONFIG.FILES.SERVICE_WORKER);
+		await fs.writeFile(swPath, swContent);
+
+		if (this.settings.minifyBuild) {
+			const swBundle = await rolldown({ input: swPath });
+			await swBundle.write({
+				format: "es",
+				entryFileNames: CONFIG.FILES.SERVICE_WORKER,
+				dir: this.paths.publicDir,
+				minify: true,
+				sourcemap: this.#sourcemapOption(),
+			});
+			await swBundle.close();
+		}
+	}
+
+	static #pwaDisplayModes = [
+		"fullscreen",
+		"standalone",
+		"minimal-ui",
+		"browser",
+	];
+
+	// "WxH" from the IHDR chunk of a PNG file
+	static #pngSize(content) {
+		if (content.length < 24 || content.toString("ascii", 1, 4) !== "PNG") {
+			return undefined;
+		}
+		return `${content.readUInt32BE(16)}x${content.readUInt32BE(20)}`;
+	}
+
+	// Manifest icon entries for files in public/, pointing at hashed copies when there are
+	// any. sizes and type are filled in from the file when not given.
+	async #webManifestIcons(icons, assetManifest) {
+		const entries = [];
+		for (const icon of icons) {
+			const { src, ...options } =
+				typeof icon === "string" ? { src: icon } : icon;
+			const content = await fs
+				.readFile(path.join(this.paths.publicDir, src))
+				.catch(() => null);
+			if (!content) {
+				throw new MicrotasticError(
+					`PWA icon ${src} not found in ${CONFIG.DIRS.PUBLIC}/`,
+					"CONFIG_ERROR",
+				);
+			}
+			const ext = path.extname(src).toLowerCase();
+			entries.push({
+				src: assetManifest[src] ?? src,
+				...options,
+				sizes:
+					options.sizes ??
+					(ext === ".svg" ? "any" : CommandHandler.#pngSize(content)),
+				type: options.type ?? MIME_TYPES[ext],
+			});
+		}
+		const sizes = entries.flatMap((entry) => entry.sizes?.split(" ") ?? []);
+		if (!["192x192", "512x512"].every((size) => sizes.includes(size))) {
+			this.logger.warning(
+				"pwa.icons needs 192x192 and 512x512 icons for the app to be installable",
+			);
+		}
+		return entries;
+	}
+
+	// Writes public/manifest.webmanifest from package.json and the pwa settings block
+	async #generateWebManifest() {
+		const pwa = this.settings.pwa;
+		const display = pwa.display ?? "standalone";
+		if (!CommandHandler.#pwaDisplayModes.includes(display)) {
+			throw new MicrotasticError(
+				`Invalid pwa.display "${display}", expected one of: ${CommandHandler.#pwaDisplayModes.join(", ")}`,
+				"CONFIG_ERROR",
+			);
+		}
+		const name = pwa.name ?? this.appPkg.name;
+		const webManifest = {
+			name,
+			short_name: pwa.shortName ?? name,
+			description: pwa.description ?? this.appPkg.description,
+			start_url: pwa.startUrl ?? "./",
+			scope: pwa.scope,
+			display,
+			theme_color: pwa.themeColor,
+			background_color: pwa.backgroundColor ?? pwa.themeColor,
+			icons: await this.#webManifestIcons(
+				pwa.icons ?? [],
+				(await this.#readManifest()) ?? {},
+			),
+		};
+		await fs.writeFile(
+			path.join(this.paths.publicDir, CONFIG.FILES.WEB_MANIFEST),
+			JSON.stringify(webManifest, null, 2),
+		);
+		await this.#injectWebManifestTags();
+	}
+
+	// Links the web manifest and sets the theme color in public/index.html, keeping tags
+	// the page already has
+	async #injectWebManifestTags() {
+		const htmlPath = path.join(this.paths.publicDir, CONFIG.FILES.INDEX_HTML);
+		const html = await fs.readFile(htmlPath, "utf8").catch(() => null);
+		if (html === null) return;
+		const tags = [];
+		if (!/<link\b[^>]*\brel=["']manifest["']/i.test(html)) {
+			tags.push(`<link rel="manifest" href="${CONFIG.FILES.WEB_MANIFEST}">`);
+		}
+		const themeColor = this.settings.pwa.themeColor;
+		if (themeColor && !/<meta\b[^>]*\bname=["']theme-color["']/i.test(html)) {
+			tags.push(`<meta name="theme-color" content="${themeColor}">`);
+		}
+		if (tags.length === 0) return;
+		const anchor = html.match(/<\/head>|<body\b/i);
+		if (!anchor) {
+			this.logger.error(
+				`Could not find a place for the manifest link in ${CONFIG.FILES.INDEX_HTML}`,
+			);
+			return;
+		}
+		await fs.writeFile(
+			htmlPath,
+			`${html.slice(0, anchor.index)}${tags.join("\n")}\n${html.slice(anchor.index)}`,
+		);
+	}
+
+	async #syncStaticFile(relativePath) {
+		const srcPath = path.join(this.paths.appRootDir, relativePath);
+		const destPath = path.join(this.paths.publicDir, relativePath);
+		const stats = await fs.stat(srcPath).catch(() => null);
+		if (!stats) {
+			await FileManager.deleteRecursive(destPath);
+			this.logger.info(`Removed ${relativePath}`);
+		} else if (stats.isDirectory()) {
+			await FileManager.copyRecursive(srcPath, destPath, []);
+			this.logger.info(`Copied ${relativePath}`);
+		} else {
+			await FileManager.copyFile(srcPath, destPath);
+			this.logger.info(`Copied ${relativePath}`);
+		}
+	}
+
+	async #watchProd() {
+		let swTimeout = null;
+		const refreshServiceWorker = () => {
+			if (!this.settings.genServiceWorker) return;
+			clearTimeout(swTimeout);
+			swTimeout = setTimeout(() => {
+				this.#generateServiceWorker().catch((error) =>
+					this.logger.error(
+						`Service worker generation failed: ${error.message}`,
+					),
+				);
+			}, 100);
+		};
+
+		// Rolldown builds once on start and then rebuilds incrementally on changes under app/src.
+		// Output keeps fixed file names so the copied HTML stays valid between rebuilds.
+		const bundleWatcher = rolldownWatch(this.#appBundleOptions());
+		const firstBuild = new Promise((resolve) => {
+			bundleWatcher.on("event", async (event) => {
+				if (event.code === "BUNDLE_END") {
+					await event.result.close();
+					this.logger.success(`Bundled application in ${event.duration}ms`);
+					refreshServiceWorker();
+					resolve();
+				} else if (event.code === "ERROR") {
+					await event.result?.close();
+					this.logger.error(`Build failed: ${event.error.message}`);
+					resolve();
+				}
+			});
+		});
+
+		// Static files outside app/src are copied one by one as they change
+		const srcDirName = path.basename(this.paths.appSrcDir);
+		const staticWatcher = watch(
+			this.paths.appRootDir,
+			{ recursive: true },
+			(_eventType, filename) => {
+				if (!filename) return;
+				const relativePath = path.normalize(filename);
+				if (relativePath.split(path.sep)[0] === srcDirName) return;
+				this.#syncStaticFile(relativePath)
+					.then(() => {
+						// A copied index.html replaces the one with the manifest tags
+						if (this.settings.pwa && relativePath === CONFIG.FILES.INDEX_HTML) {
+							return this.#injectWebManifestTags();
+						}
+					})
+					.then(refreshServiceWorker)
+					.catch((error) => this.logger.error(error.message));
+			},
+		);
+
+		await firstBuild;
+		if (this.settings.pwa) {
+			await this.#generateWebManifest();
+			refreshServiceWorker();
+		}
+		this.logger.info("Watching for changes...");
+
+		const close = async () => {
+			clearTimeout(swTimeout);
+			staticWatcher.close();
+			await bundleWatcher.close();
+		};
+		for (const signal of ["SIGINT", "SIGTERM"]) {
+			process.once(signal, () => close().then(() => process.exit(0)));
+		}
+		return { close };
+	}
+
+	async prod(options = {}) {
+		try {
+			this.logger.info("Starting production build...");
+
+			// Load and validate package.json
+			await this.loadAppPackage();
+			if (!this.appPkg) {
+				throw new MicrotasticError(
+					"Failed to load package.json",
+					"PACKAGE_JSON_ERROR",
+				);
+			}
+
+			// Clean and prepare directories
+			await FileManager.deleteRecursive(this.paths.publicDir);
+			await FileManager.copyRecursive(
+				this.paths.appRootDir,
+				this.paths.publicDir,
+				[path.basename(this.paths.appSrcDir)],
+			);
+
+			// Public environment variables for import.meta.env
+			this.#env = await this.#loadEnv("production");
+
+			// Keep the build alive and rebuild on changes
+			if (options.watch) return await this.#watchProd();
+
+			// Bundle application
+			this.logger.info("Bundling application...");
+			const hashFileNames =
+				this.settings.hashFileNames ?? CONFIG.DEFAULTS.hashFileNames;
+			const output = await this.#bundleApp(hashFileNames);
+
+			// Hash static assets, point the HTML at them and record the mapping
+			if (hashFileNames) {
+				const manifest = {
+					...this.#chunkManifest(output),
+					...(await this.#hashStaticAssets()),
+				};
+				await this.#rewriteHtmlReferences(manifest);
+				await fs.writeFile(
+					path.join(this.paths.publicDir, CONFIG.FILES.MANIFEST),
+					JSON.stringify(manifest, null, 2),
+				);
+			}
+
+			// Generate the web app manifest before the service worker, which precaches it
+			if (this.settings.pwa) await this.#generateWebManifest();
+
+			// Generate service worker if enabled
+			if (this.settings.genServiceWorker) {
+				await this.#generateServiceWorker();
+			}
+
+			const sizes = await this.#measureFiles(
+				this.paths.publicDir,
+				output.map((file) => path.join(this.paths.publicSrcDir, file.fileName)),
+			);
+			await this.#reportSizes("prod", sizes);
+			this.#checkBudgets(sizes);
+
+			// Log build completion time
+			const hrend = process.hrtime(this.hrstart);
+			this.logger.success(
+				`Build completed in ${hrend[0]}s ${Math.round(hrend[1] / 1000000)}ms`,
+			);
+		} catch (error) {
+			this.logger.error(`Build failed: ${error.message}`);
+			if (this.settings.debug) console.error(error.stack);
+			throw error;
+		}
+	}
+
+	// Module sizes per output chunk, from an in-memory build with the prod options
+	async #collectModuleSizes() {
+		const { output, ...input } = this.#appBundleOptions(
+			this.settings.hashFileNames ?? CONFIG.DEFAULTS.hashFileNames,
+		);
+		const bundle = await rolldown(input);
+		const result = await bundle.generate(output);
+		await bundle.close();
+		const modules = [];
+		for (const chunk of result.output) {
+			if (chunk.type !== "chunk") continue;
+			for (const [id, info] of Object.entries(chunk.modules)) {
+				if (info.renderedLength === 0) continue;
+				// Virtual modules (runtime, polyfills) are prefixed with \0
+				const name = path.isAbsolute(id)
+					? this.#urlPath(this.paths.projectDir, id)
+					: id.replace(/^\0/, "");
+				modules.push({
+					chunk: chunk.fileName,
+					module: name,
+					size: info.renderedLength,
+				});
+			}
+		}
+		return modules;
+	}
+
+	// Nests modules as chunk -> path segments, folding single-child directories
+	static #moduleTree(modules) {
+		const root = { name: "", size: 0, children: new Map() };
+		for (const { chunk, module, size } of modules) {
+			let node = root;
+			root.size += size;
+			for (const segment of [chunk, ...module.split("/")]) {
+				if (!node.children.has(segment)) {
+					node.children.set(segment, {
+						name: segment,
+						size: 0,
+						children: new Map(),
+					});
+				}
+				node = node.children.get(segment);
+				node.size += size;
+			}
+		}
+		const finish = (node, depth) => {
+			let children = [...node.children.values()];
+			while (depth > 1 && children.length === 1 && children[0].children.size) {
+				node.name = `${node.name}/${children[0].name}`;
+				children = [...children[0].children.values()];
+			}
+			if (children.length === 0) return { name: node.name, size: node.size };
+			return {
+				name: node.name,
+				size: node.size,
+				children: children.map((child) => finish(child, depth + 1)),
+			};
+		};
+		return finish(root, 0);
+	}
+
+	async analyze(options = {}) {
+		try {
+			this.logger.info("Analyzing application bundle...");
+			await this.loadAppPackage();
+			if (!this.appPkg) {
+				throw new MicrotasticError(
+					"Failed to load package.json",
+					"PACKAGE_JSON_ERROR",
+				);
+			}
+
+			this.#env = await this.#loadEnv("production");
+			const modules = await this.#collectModuleSizes();
+			const total = modules.reduce((sum, { size }) => sum + size, 0);
+			const top = [...modules]
+				.sort((a, b) => b.size - a.size)
+				.slice(0, Number(options.top) || 10);
+			this.logger.table([
+				["Module", "Chunk", "Size", "Share"],
+				...top.map(({ module, chunk, size }) => [
+					module,
+					chunk,
+					Logger.formatSize(size),
+					`${((size / (total || 1)) * 100).toFixed(1)}%`,
+				]),
+			]);
+
+			// Escape "<" so module names cannot close the inline script
+			const data = JSON.stringify(CommandHandler.#moduleTree(modules)).replace(
+				/</g,
+				"\\u003c",
+			);
+			const reportPath = path.resolve(
+				this.paths.projectDir,
+				typeof options.out === "string"
+					? options.out
+					: CONFIG.FILES.ANALYZE_REPORT,
+			);
+			await fs.mkdir(path.dirname(reportPath), { recursive: true });
+			await fs.writeFile(
+				reportPath,
+				await this.#renderTemplate(CONFIG.FILES.ANALYZE_TEMPLATE, {
+					title: `${this.appPkg.name} bundle (${Logger.formatSize(total)})`,
+					data,
+				}),
+			);
+			this.logger.success(
+				`Bundle report written to ${path.relative(this.paths.projectDir, reportPath)}`,
+			);
+			return { modules, reportPath };
+		} catch (error) {
+			this.logger.error(`Analyze failed: ${error.message}`);
+			if (this.settings.debug) console.error(error.stack);
+			throw error;
+		}
+	}
+
+	async preview(options = {}) {
+		if (!(await FileManager.checkExists(this.paths.publicDir))) {
+			throw new MicrotasticError(
+				"No production build found, run microtastic prod first",
+				"NO_BUILD",
+			);
+		}
+		const port = Number(options.port ?? this.settings.serverPort);
+		// Only the hashed files recorded by the build are safe to cache forever
+		const manifest = (await this.#readManifest()) ?? {};
+		const immutable = new Set(Object.values(manifest));
+		const server = new DevServer(
+			this.paths.publicDir,
+			MIME_TYPES,
+			false,
+			null,
+			{
+				production: true,
+				immutable,
+			},
+		);
+		const httpServer = server.createServer();
+		httpServer.listen(port);
+		this.logger.success(
+			`Started preview server for ${CONFIG.DIRS.PUBLIC}/ on localhost:${port}`,
+		);
+
+		// Handle graceful shutdown
+		for (const signal of ["SIGINT", "SIGTERM"]) {
+			process.on(signal, () => {
+				httpServer.close();
+				process.exit(0);
+			});
+		}
+		return httpServer;
+	}
+
+	dev() {
+		const hotReload = this.settings.hotReload ?? CONFIG.DEFAULTS.hotReload;
+		const server = new DevServer(
+			this.paths.appRootDir,
+			MIME_TYPES,
+			hotReload,
+			this.paths.appRootDir,
+			{
+				// The .env files are read per request, so edits apply on the next reload
+				transform: async (filePath, content) => {
+					if (
+						path.extname(filePath) !== ".js" ||
+						!filePath.startsWith(this.paths.appSrcDir) ||
+						!content.includes("import.meta.env")
+					) {
+						return content;
+					}
+					const env = await this.#loadEnv("development");
+					return Buffer.from(
+						await CommandHandler.#applyEnv(filePath, content.toString(), env),
+					);
+				},
+			},
+		);
+		const httpServer = server.createServer();
+		httpServer.listen(this.settings.serverPort);
+		const assetWatchers = [];
 
 		if (hotReload) {
 			server.watchFiles();
+			this.#watchAssets()
+				.then((watchers) => assetWatchers.push(...watchers))
+				.catch((error) =>
+					this.logger.debug(`Not watching assets: ${error.message}`),
+				);
 			this.logger.success(
 				`Started dev server on localhost:${this.settings.serverPort} (hot reload enabled)`,
 			);
@@ -651,17 +2596,22 @@ class CommandHandler {
 			);
 		}
 
-		// Handle graceful shutdown
-		process.on("SIGINT", () => {
+		const close = () => {
 			server.close();
 			httpServer.close();
+			for (const watcher of assetWatchers) watcher.close();
+		};
+
+		// Handle graceful shutdown
+		process.on("SIGINT", () => {
+			close();
 			process.exit(0);
 		});
 		process.on("SIGTERM", () => {
-			server.close();
-			httpServer.close();
+			close();
 			process.exit(0);
 		});
+		return { httpServer, close };
 	}
 }
 
@@ -719,6 +2669,19 @@ class Microtastic {
 		}
 	}
 
+	parseOptions(args) {
+		// --watch becomes { watch: true }, --some-flag=x becomes { someFlag: "x" }
+		return Object.fromEntries(
+			args
+				.filter((arg) => arg.startsWith("--"))
+				.map((arg) => {
+					const [key, value] = arg.slice(2).split("=");
+					const name = key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+					return [name, value ?? true];
+				}),
+		);
+	}
+
 	async run() {
 		try {
 			const command = process.argv[2]?.toLowerCase();
@@ -729,7 +2692,7 @@ class Microtastic {
 			if (!(command in handler))
 				throw new MicrotasticError("Invalid command", "INVALID_COMMAND");
 
-			await handler[command]();
+			await handler[command](this.parseOptions(process.argv.slice(3)));
 		} catch (error) {
 			this.logger.error(error.message);
 			process.exit(error instanceof MicrotasticError ? 1 : 2);
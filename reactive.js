@@ -11,14 +11,59 @@
  * @typedef {Object} SafeHTML
  * @property {boolean} __safe - Indicates the content is safe HTML
  * @property {string} content - The HTML content
+ * @property {Map<number, Signal>} [bindings] - Signals interpolated into the template, keyed by marker id
  */
 
 let _escapeElement;
+let _bindingId = 0;
+const _isSignal = (v) =>
+	typeof v?.get === "function" && typeof v.subscribe === "function";
+const _bindingMarker = /\{\{r-bind-(\d+)\}\}/;
+const _mergeBindings = (target, source) => {
+	if (!source?.bindings) return target;
+	const merged = target ?? new Map();
+	for (const [id, sig] of source.bindings) merged.set(id, sig);
+	return merged;
+};
+// Follows the HTML tokenizer far enough to tell text, comment, tag and quoted attribute
+// value apart, so a ">" inside an attribute value, a "<" in text that starts no tag or a
+// quote in a comment don't end up in the wrong state. Returns "text", "comment", "tag" or
+// the open quote character.
+const _markupState = (state, str) => {
+	for (let i = 0; i < str.length; i++) {
+		const c = str[i];
+		if (state === "text") {
+			if (c !== "<") continue;
+			if (str.startsWith("!--", i + 1)) {
+				state = "comment";
+				i += 3;
+			} else if (/[A-Za-z/!?]/.test(str[i + 1] ?? "")) {
+				state = "tag";
+			}
+		} else if (state === "comment") {
+			if (str.startsWith("-->", i)) {
+				state = "text";
+				i += 2;
+			}
+		} else if (state === "tag") {
+			if (c === '"' || c === "'") state = c;
+			else if (c === ">") state = "text";
+		} else if (c === state) {
+			state = "tag";
+		}
+	}
+	return state;
+};
 
 /**
  * Tagged template literal for creating safe HTML content with automatic escaping.
  * Values are automatically escaped unless they are SafeHTML objects.
  *
+ * Signals and computed signals become live bindings: in text position they render
+ * as a text node, inside an attribute value they update the attribute. The bindings
+ * are connected by {@link Reactive.hydrate}, which Component.render(), data-html
+ * and Reactive.bind() call for you.
+ *
  * @param {TemplateStringsArray} strings - Template string parts
  * @param {...*} values - Template values to interpolate
  * @returns {SafeHTML} Safe HTML object
@@ -26,18 +71,43 @@ let _escapeElement;
  * const userInput = "<script>alert('xss')</script>";
  * const safe = html`<div>${userInput}</div>`;
  * // Results in: <div>&lt;script&gt;alert('xss')&lt;/script&gt;</div>
+ *
+ * const count = Signals.create(0);
+ * const live = html`<span title="Count ${count}">${count}</span>`;
  */
-export const html = (strings, ...values) => ({
-	__safe: true,
-	content: strings.reduce((acc, str, i) => {
+export const html = (strings, ...values) => {
+	let bindings;
+	let state = "text";
+	const content = strings.reduce((acc, str, i) => {
 		const v = values[i];
-		if (v == null) return acc + str;
-		if (v.__safe) return acc + str + v.content;
+		state = _markupState(state, str);
+		const prefix = acc + str;
+		if (v == null) return prefix;
+		if (v.__safe) {
+			bindings = _mergeBindings(bindings, v);
+			state = _markupState(state, v.content);
+			return prefix + v.content;
+		}
+		if (_isSignal(v)) {
+			const id = ++_bindingId;
+			bindings ??= new Map();
+			bindings.set(id, v);
+			// In text the marker is a comment, inside a tag part of an attribute value (and
+			// inside an HTML comment plain, unbound text)
+			return (
+				prefix + (state === "text" ? `<!--r-bind-${id}-->` : `{{r-bind-${id}}}`)
+			);
+		}
 		if (!_escapeElement) _escapeElement = document.createElement("div");
 		_escapeElement.textContent = String(v);
-		return acc + str + _escapeElement.innerHTML;
-	}, ""),
-});
+		const escaped = _escapeElement.innerHTML;
+		state = _markupState(state, escaped);
+		return prefix + escaped;
+	}, "");
+	return bindings
+		? { __safe: true, content, bindings }
+		: { __safe: true, content };
+};
 
 /**
  * Marks content as trusted HTML that should not be escaped.
@@ -59,12 +129,18 @@ export const trusted = (content) => ({ __safe: true, content });
  * @example
  * const list = join([html`<li>A</li>`, html`<li>B</li>`], "\n");
  */
-export const join = (items, separator = "") => ({
-	__safe: true,
-	content: items
+export const join = (items, separator = "") => {
+	const bindings = [...items, separator].reduce(
+		(acc, i) => (i?.__safe ? _mergeBindings(acc, i) : acc),
+		undefined,
+	);
+	const content = items
 		.map((i) => (i?.__safe ? i.content : String(i)))
-		.join(typeof separator === "string" ? separator : separator.content || ""),
-});
+		.join(typeof separator === "string" ? separator : separator.content || "");
+	return bindings
+		? { __safe: true, content, bindings }
+		: { __safe: true, content };
+};
 
 // CSS-in-JS
 const _styleCache = new Set();
@@ -568,6 +644,52 @@ export const Signals = {
 // REACTIVE UTILITIES
 // ===========================================
 
+const _components = new Map();
+const _liveComponents = new Set();
+// Child components rendered into detached DOM (a data-each row, a parent that is still
+// rendering) wait here until their host is in the document
+const _pendingMounts = new Set();
+const _flushMounts = () => {
+	for (const entry of _pendingMounts) {
+		if (!entry.host.isConnected) continue;
+		_pendingMounts.delete(entry);
+		entry.child.mount();
+	}
+};
+// Set by the dev server's reload script, so production pages skip hot replacement bookkeeping
+const _hotEnabled =
+	typeof window !== "undefined" && window.__MICROTASTIC_HOT__ === true;
+
+// Converts a route pattern like "/users/:id/*" to a regex and its param names
+const _compileRoute = (pattern) => {
+	const keys = [];
+	const source = pattern
+		.replace(/\/$/, "")
+		.split("/")
+		.map((seg) => {
+			if (seg === "*") {
+				keys.push("*");
+				return "(?:/(.*))?";
+			}
+			if (seg.startsWith(":")) {
+				const optional = seg.endsWith("?");
+				keys.push(seg.slice(1, optional ? -1 : undefined));
+				return optional ? "(?:/([^/]+))?" : "/([^/]+)";
+			}
+			return seg ? `/${seg.replace(/[.+?^${}()|[\]\\]/g, "\\$&")}` : "";
+		})
+		.join("");
+	return { regex: new RegExp(`^${source}/?$`), keys };
+};
+
+// Directives that bind their element's contents themselves
+const _contentDirectives = [
+	"data-each",
+	"data-html",
+	"data-if",
+	"data-component",
+];
+
 /**
  * Reactive utilities for DOM binding and component management.
  * Provides methods to bind signals to DOM elements and manage reactive components.
@@ -579,15 +701,82 @@ export const Reactive = {
 	 *
 	 * @param {HTMLElement} el - Target element
 	 * @param {function(): (string|SafeHTML)} fn - Function that returns content
-	 * @returns {{update: function(): void}} Object with update method
+	 * @returns {{update: function(): void, dispose: function(): void}} Object with update
+	 *   method, and dispose to unbind the signals of the last render
 	 */
 	mount(el, fn) {
+		let unhydrate;
 		const update = () => {
+			unhydrate?.();
 			const res = fn();
 			el.innerHTML = res.__safe ? res.content : String(res);
+			unhydrate = Reactive.hydrate(el, res);
 		};
 		update();
-		return { update };
+		return { update, dispose: () => unhydrate?.() };
+	},
+
+	/**
+	 * Connects the signal bindings of an html template to DOM that was rendered from it.
+	 * Text markers are replaced by bound text nodes, attribute markers by attribute
+	 * bindings. A single boolean signal as a whole attribute value toggles the attribute.
+	 *
+	 * @param {HTMLElement} root - Element containing the rendered template
+	 * @param {SafeHTML} tpl - Template the content was rendered from
+	 * @returns {function(): void} Cleanup function to unbind all
+	 * @example
+	 * const name = Signals.create("Alice");
+	 * const tpl = html`<p class="${name}">Hello ${name}</p>`;
+	 * el.innerHTML = tpl.content;
+	 * const cleanup = Reactive.hydrate(el, tpl);
+	 */
+	hydrate(root, tpl) {
+		const bindings = tpl?.bindings;
+		if (!bindings?.size) return () => {};
+		const unsubs = [];
+		const comments = [];
+		const elements = [];
+		// 1 | 128: elements and comments
+		const walk = document.createTreeWalker(root, 129);
+		for (let n = walk.currentNode; n; n = walk.nextNode()) {
+			(n.nodeType === 8 ? comments : elements).push(n);
+		}
+
+		for (const comment of comments) {
+			if (!comment.data.startsWith("r-bind-")) continue;
+			const sig = bindings.get(Number(comment.data.slice(7)));
+			if (!sig) continue;
+			const text = document.createTextNode("");
+			comment.replaceWith(text);
+			unsubs.push(Reactive.bindText(text, sig));
+		}
+
+		for (const el of elements) {
+			for (const { name, value } of [...el.attributes]) {
+				if (!_bindingMarker.test(value)) continue;
+				// Odd entries are binding ids, even entries the static text around them
+				const parts = value.split(new RegExp(_bindingMarker, "g"));
+				const sigs = parts.map((p, i) => (i % 2 ? bindings.get(Number(p)) : p));
+				// Markers from another template (e.g. passed through trusted()) stay as they are
+				if (!sigs.some((p, i) => i % 2 && p)) continue;
+				if (parts.length === 3 && !parts[0] && !parts[2]) {
+					unsubs.push(
+						sigs[1].subscribe((v) => {
+							if (v === true || v === false) el.toggleAttribute(name, v);
+							else el.setAttribute(name, v ?? "");
+						}),
+					);
+				} else {
+					const joined = Signals.computed(() =>
+						sigs.map((p, i) => (i % 2 ? (p?.get() ?? "") : p)).join(""),
+					);
+					unsubs.push(Reactive.bindAttr(el, name, joined), joined.dispose);
+				}
+			}
+		}
+		return () => {
+			for (const f of unsubs) f();
+		};
 	},
 
 	/**
@@ -602,10 +791,17 @@ export const Reactive = {
 	 * Reactive.bind(div, count, val => html`Count: ${val}`);
 	 */
 	bind(el, sig, fn) {
-		return sig.subscribe((val) => {
+		let unhydrate;
+		const unsub = sig.subscribe((val) => {
+			unhydrate?.();
 			const res = fn(val);
 			el.innerHTML = res.__safe ? res.content : String(res);
+			unhydrate = Reactive.hydrate(el, res);
 		});
+		return () => {
+			unhydrate?.();
+			unsub();
+		};
 	},
 
 	/**
@@ -715,8 +911,11 @@ export const Reactive = {
 
 	/**
 	 * Scans a DOM tree for data attributes and binds them to signals in the scope.
-	 * Supports: data-text, data-html, data-visible, data-if, data-model,
-	 * data-class-*, data-attr-*, data-bool-*, data-on-*
+	 * Supports: data-text, data-html, data-visible, data-if, data-model, data-each,
+	 * data-component, data-class-*, data-attr-*, data-bool-*, data-on-*
+	 *
+	 * Paths that pass through a signal (e.g. "item.name" where item is a signal)
+	 * resolve to a derived signal that follows the signal's value.
 	 *
 	 * @param {HTMLElement} root - Root element to scan
 	 * @param {Object} scope - Object containing signals to bind
@@ -728,7 +927,63 @@ export const Reactive = {
 	 */
 	scan(root, scope) {
 		const unsubs = [];
-		const resolve = (path) => path.split(".").reduce((o, k) => o?.[k], scope);
+		const resolve = (path) => {
+			const keys = path.split(".");
+			let o = scope;
+			for (let i = 0; i < keys.length; i++) {
+				if (i > 0 && typeof o?.get === "function" && o.subscribe) {
+					const sig = o;
+					const rest = keys.slice(i);
+					const derived = Signals.computed(() =>
+						rest.reduce((v, k) => v?.[k], sig.get()),
+					);
+					unsubs.push(derived.dispose);
+					return derived;
+				}
+				o = o?.[keys[i]];
+			}
+			return o;
+		};
+
+		const mountChild = (host) => {
+			const name = host.getAttribute("data-component");
+			const found = resolve(name);
+			const Child = typeof found === "function" ? found : _components.get(name);
+			if (!Child) {
+				console.warn(`[Reactive] Unknown component "${name}"`);
+				return;
+			}
+			const props = {};
+			for (const { name: attr, value } of [...host.attributes]) {
+				if (!attr.startsWith("data-prop-")) continue;
+				const key = attr
+					.slice(10)
+					.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+				const v = resolve(value);
+				props[key] = _isSignal(v)
+					? v
+					: Signals.create(v === undefined ? value : v);
+			}
+			const child = new Child(props);
+			child.initState();
+			host.replaceChildren(child.render());
+			if (!child.mount) return () => child.cleanup();
+			const pending = { child, host };
+			_pendingMounts.add(pending);
+			_flushMounts();
+			return () => {
+				_pendingMounts.delete(pending);
+				child.cleanup();
+			};
+		};
+
+		const bindContents = (el) => {
+			if (el.hasAttribute("data-component")) return mountChild(el);
+			const cleanups = [...el.children].map((c) => Reactive.scan(c, scope));
+			return () => {
+				for (const f of cleanups) f?.();
+			};
+		};
 
 		const handlers = {
 			"data-text": (el, val) => Reactive.bindText(el, val),
@@ -738,6 +993,7 @@ export const Reactive = {
 					for (const f of cleanups) f?.();
 					cleanups = [];
 					el.innerHTML = v?.__safe ? v.content : String(v);
+					cleanups.push(Reactive.hydrate(el, v));
 
 					// Scan children only to avoid infinite recursion on self
 					for (const child of el.children) {
@@ -757,7 +1013,9 @@ export const Reactive = {
 				const placeholder = document.createComment("if");
 				const currentEl = el;
 				el.parentNode?.insertBefore(placeholder, el);
-				return val.subscribe((v) => {
+				// Contents are only bound while shown, so child components are cleaned up on removal
+				let contentCleanup = null;
+				const unsub = val.subscribe((v) => {
 					if (v && !currentEl.parentNode) {
 						placeholder.parentNode?.insertBefore(
 							currentEl,
@@ -766,8 +1024,20 @@ export const Reactive = {
 					} else if (!v && currentEl.parentNode) {
 						currentEl.parentNode.removeChild(currentEl);
 					}
+					if (v && !contentCleanup) {
+						contentCleanup = bindContents(currentEl);
+					} else if (!v && contentCleanup) {
+						contentCleanup();
+						contentCleanup = null;
+					}
 				});
+				return () => {
+					unsub();
+					contentCleanup?.();
+				};
 			},
+			"data-component": (el) =>
+				el.hasAttribute("data-if") ? undefined : mountChild(el),
 			"data-model": (el, val) => {
 				if (!val?.set) return;
 				unsubs.push(
@@ -779,14 +1049,93 @@ export const Reactive = {
 				el.addEventListener("input", h);
 				return () => el.removeEventListener("input", h);
 			},
+			"data-each": (el, val) => {
+				const tpl = [...el.children].find((c) => c.tagName === "TEMPLATE");
+				if (!tpl || !val?.subscribe) return;
+				const keyPath = el.getAttribute("data-key");
+				const keyOf = (item, index) =>
+					keyPath
+						? keyPath.split(".").reduce((o, k) => o?.[k], { item, index })
+						: item;
+
+				const createRow = (item, index) => {
+					const rowScope = Object.create(scope);
+					rowScope.item = Signals.create(item);
+					rowScope.index = Signals.create(index);
+					const frag = tpl.content.cloneNode(true);
+					const cleanups = [...frag.children].map((c) =>
+						Reactive.scan(c, rowScope),
+					);
+					return { scope: rowScope, nodes: [...frag.childNodes], cleanups };
+				};
+				const removeRow = (row) => {
+					for (const f of row.cleanups) f();
+					for (const n of row.nodes) n.remove();
+				};
+
+				let rows = new Map();
+				const unsub = val.subscribe((list) => {
+					const next = new Map();
+					Array.from(list ?? []).forEach((item, index) => {
+						let key = keyOf(item, index);
+						if (next.has(key)) {
+							console.warn(
+								`[Reactive] Duplicate data-key "${String(key)}" in data-each="${el.getAttribute("data-each")}"`,
+							);
+							key = Symbol();
+						}
+						let row = rows.get(key);
+						if (row) {
+							rows.delete(key);
+							row.scope.item.set(item);
+							row.scope.index.set(index);
+						} else {
+							row = createRow(item, index);
+						}
+						next.set(key, row);
+					});
+					for (const row of rows.values()) removeRow(row);
+
+					// Place rows in order after the template, only moving nodes that are out of place
+					let ref = tpl;
+					for (const row of next.values()) {
+						if (ref.nextSibling !== row.nodes[0]) {
+							for (const n of row.nodes) {
+								el.insertBefore(n, ref.nextSibling);
+								ref = n;
+							}
+						}
+						ref = row.nodes.at(-1) ?? ref;
+					}
+					rows = next;
+					_flushMounts();
+				});
+				return () => {
+					unsub();
+					for (const row of rows.values()) {
+						for (const f of row.cleanups) f();
+					}
+					rows.clear();
+				};
+			},
 		};
 
 		const walk = document.createTreeWalker(root, 1);
+		// Move past the current subtree (for directives that scan their own contents)
+		const skipChildren = () => {
+			let next = walk.nextSibling();
+			while (!next && walk.parentNode()) next = walk.nextSibling();
+			return next;
+		};
 		let node = walk.currentNode;
 		while (node) {
 			const el = node;
+			const { parentNode: parent, previousSibling: prev } = el;
+			let ownsChildren = false;
 			if (el.nodeType === 1) {
+				ownsChildren = _contentDirectives.some((d) => el.hasAttribute(d));
 				for (const { name, value } of [...el.attributes]) {
+					if (name === "data-key" || name.startsWith("data-prop-")) continue;
 					const val = resolve(value);
 					if (handlers[name]) {
 						const u = handlers[name](el, val);
@@ -807,13 +1156,74 @@ export const Reactive = {
 					}
 				}
 			}
-			node = walk.nextNode();
+			if (el !== root && parent && el.parentNode !== parent) {
+				// data-if detached the element, resume from the placeholder left in its place
+				walk.currentNode = prev ? prev.nextSibling : parent.firstChild;
+			}
+			node = ownsChildren ? skipChildren() : walk.nextNode();
 		}
 		return () => {
 			for (const f of unsubs) f?.();
 		};
 	},
 
+	/**
+	 * Registers a component class under a name for use with data-component.
+	 * Components can also be resolved from the scope (e.g. a class stored on the parent).
+	 *
+	 * @param {string} name - Name used in data-component attributes
+	 * @param {typeof Reactive.Component} ComponentClass - Component class to instantiate
+	 * @example
+	 * Reactive.register("Counter", Counter);
+	 * // <div data-component="Counter" data-prop-label="title"></div>
+	 */
+	register(name, ComponentClass) {
+		_components.set(name, ComponentClass);
+	},
+
+	/**
+	 * Applies a re-imported module to the running app (used by the dev server's hot reload).
+	 * Only modules whose exports are all Component subclasses are accepted. Rendered
+	 * instances of the classes the app imported from the same module URL get the new
+	 * methods and re-render in place, keeping the signals created from state().
+	 * Components are only tracked on pages served by `microtastic dev`.
+	 *
+	 * @param {Object} module - Namespace object of the re-imported module
+	 * @param {Object} previous - Namespace object of the module as the app imported it
+	 * @returns {boolean} False if the module can't be hot replaced and a full reload is needed
+	 */
+	hotReplace(module, previous) {
+		const classes = Object.entries(module);
+		if (
+			!classes.length ||
+			!classes.every(([, c]) => c?.prototype instanceof Reactive.Component)
+		) {
+			return false;
+		}
+		for (const [name, NewClass] of classes) {
+			const OldClass = previous?.[name];
+			if (!OldClass || OldClass === NewClass) continue;
+			// Patch the old prototype so existing and future instances use the new methods
+			for (const key of Object.getOwnPropertyNames(NewClass.prototype)) {
+				if (key === "constructor") continue;
+				Object.defineProperty(
+					OldClass.prototype,
+					key,
+					Object.getOwnPropertyDescriptor(NewClass.prototype, key),
+				);
+			}
+			const instances = [..._liveComponents].filter(
+				(c) => c instanceof OldClass,
+			);
+			for (const instance of instances) {
+				// Skip children that a parent re-render already cleaned up
+				if (_liveComponents.has(instance)) instance._hotRender();
+			}
+			_debugLog("Hot replaced:", name, instances.length);
+		}
+		return true;
+	},
+
 	/**
 	 * Creates a component context for managing subscriptions and computed signals.
 	 * Provides methods for tracking cleanup functions and creating scoped reactivity.
@@ -878,6 +1288,10 @@ export const Reactive = {
 	 * - mount(): Called after component is mounted to DOM (optional)
 	 * - onCleanup(): Called during cleanup (optional)
 	 *
+	 * Child components are embedded with data-component and receive data-prop-* values
+	 * as signals in this.props. They are cleaned up together with their parent, or when
+	 * a data-if/data-html/data-each region removes them.
+	 *
 	 * @class
 	 * @example
 	 * class Counter extends Reactive.Component {
@@ -896,10 +1310,13 @@ export const Reactive = {
 		/**
 		 * Creates a new component instance.
 		 * Initializes internal reactive context and binding methods.
+		 *
+		 * @param {Object<string, Signal>} [props={}] - Signals passed in by a parent through data-prop-* attributes
 		 */
-		constructor() {
+		constructor(props = {}) {
 			this._c = Reactive.createComponent();
 			this.refs = {};
+			this.props = props;
 			for (const m of [
 				"bind",
 				"bindAttr",
@@ -1060,6 +1477,7 @@ export const Reactive = {
 					throw new Error("Template must return html`` tagged template");
 				}
 				t.innerHTML = templateResult.content;
+				this.track(Reactive.hydrate(t, templateResult));
 				const el = t.firstElementChild;
 				if (!el) {
 					throw new Error("Template must return a single root element");
@@ -1068,6 +1486,7 @@ export const Reactive = {
 					el.classList.add(this.styles());
 				}
 				this.scan(el);
+				this._trackLive(el);
 				return el;
 			} catch (error) {
 				console.error(
@@ -1107,6 +1526,8 @@ export const Reactive = {
 					setText("p", "Type: ", error.name),
 					details,
 				);
+				// Tracked as well, so a hot update can replace a failed render
+				this._trackLive(errorEl);
 				return errorEl;
 			}
 		}
@@ -1122,6 +1543,7 @@ export const Reactive = {
 			const element = this.render();
 			container.innerHTML = "";
 			container.appendChild(element);
+			_flushMounts();
 			if (this.mount) this.mount();
 			return element;
 		}
@@ -1147,6 +1569,7 @@ export const Reactive = {
 			this.initState();
 			const element = this.render();
 			container.appendChild(element);
+			_flushMounts();
 			if (this.mount) this.mount();
 			return element;
 		}
@@ -1159,6 +1582,295 @@ export const Reactive = {
 			if (this.onCleanup) this.onCleanup();
 			this._c.cleanup();
 			this.refs = {};
+			_liveComponents.delete(this);
+		}
+
+		/**
+		 * Internal method to remember the rendered root element for hot replacement.
+		 *
+		 * @private
+		 * @param {HTMLElement} el - Rendered root element
+		 */
+		_trackLive(el) {
+			if (!_hotEnabled) return;
+			this._el = el;
+			_liveComponents.add(this);
+		}
+
+		/**
+		 * Internal method to re-render the component in place after its class was hot replaced.
+		 * Signals from state() are kept, computed state and init() are re-created.
+		 *
+		 * @private
+		 */
+		_hotRender() {
+			const oldEl = this._el;
+			this.cleanup();
+			if (this.state) {
+				const fresh = Object.fromEntries(
+					Object.entries(this.state()).filter(
+						([k, v]) => typeof v === "function" || !(k in this),
+					),
+				);
+				this._proc(fresh, this);
+			}
+			if (this.init) this.init();
+			const el = this.render();
+			oldEl?.replaceWith(el);
+			_flushMounts();
+			if (this.mount) this.mount();
+		}
+	},
+
+	/**
+	 * Client-side router that maps URL paths to components.
+	 * Route patterns support named params (":id"), optional params (":id?") and a
+	 * trailing wildcard ("*", available as params["*"]). Routes are matched in order.
+	 *
+	 * A route's component is either a Reactive.Component subclass or a loader function
+	 * returning a module (e.g. () => import("./pages/user.js")), whose default export is
+	 * used. Dynamic imports are split into separate chunks by the production build.
+	 *
+	 * Components receive params and query as signals in this.props. Navigating between
+	 * URLs of the same route updates those signals and keeps the component instance.
+	 *
+	 * @class
+	 * @example
+	 * const router = new Reactive.Router({
+	 *   routes: [
+	 *     { path: "/", component: Home },
+	 *     { path: "/users/:id", component: () => import("./user.js") },
+	 *     { path: "*", component: NotFound },
+	 *   ],
+	 * });
+	 * router.start("app");
+	 * router.route.subscribe(({ path, params }) => console.log(path, params));
+	 */
+	Router: class {
+		/**
+		 * Creates a new router.
+		 *
+		 * @param {Object} options - Router options
+		 * @param {Array<{path: string, component: (typeof Reactive.Component|function(): Promise<*>)}>} options.routes - Route table
+		 * @param {"history"|"hash"} [options.mode="history"] - Use the History API or the URL hash
+		 * @param {string} [options.base=""] - Base path the app is served from (history mode)
+		 */
+		constructor({ routes = [], mode = "history", base = "" } = {}) {
+			this.mode = mode;
+			this.base = base.replace(/\/$/, "");
+			this.routes = routes.map((r) => ({ ...r, ..._compileRoute(r.path) }));
+			this.route = Signals.create(
+				{ path: "/", params: {}, query: {}, pattern: null },
+				undefined,
+				"route",
+			);
+			this._container = null;
+			this._current = null;
+			this._navId = 0;
+			this._unsubs = [];
+		}
+
+		/**
+		 * Starts listening to URL changes and link clicks, and renders the current route.
+		 *
+		 * @param {string} containerId - ID of the element routes are rendered into
+		 * @returns {Promise<void>} Resolves when the initial route is rendered
+		 */
+		start(containerId) {
+			this._container = document.getElementById(containerId);
+			if (!this._container) {
+				console.error(`[Reactive] Router container #${containerId} not found`);
+				return Promise.resolve();
+			}
+			const onChange = () => this._resolve();
+			const evt = this.mode === "hash" ? "hashchange" : "popstate";
+			const onClick = (e) => this._onClick(e);
+			window.addEventListener(evt, onChange);
+			document.addEventListener("click", onClick);
+			this._unsubs.push(
+				() => window.removeEventListener(evt, onChange),
+				() => document.removeEventListener("click", onClick),
+			);
+			return this._resolve();
+		}
+
+		/**
+		 * Stops listening and cleans up the mounted route component.
+		 */
+		stop() {
+			for (const f of this._unsubs) f();
+			this._unsubs = [];
+			this._navId++;
+			this._unmount();
+		}
+
+		/**
+		 * Navigates to a path and renders the matching route.
+		 *
+		 * @param {string} to - Path relative to the base, may include a query string
+		 * @param {Object} [options] - Navigation options
+		 * @param {boolean} [options.replace=false] - Replace the current history entry
+		 * @returns {Promise<void>} Resolves when the route is rendered
+		 */
+		navigate(to, { replace = false } = {}) {
+			window.history[replace ? "replaceState" : "pushState"](
+				null,
+				"",
+				this.href(to),
+			);
+			return this._resolve();
+		}
+
+		/**
+		 * Builds the URL for a path in the current mode, for use in links.
+		 *
+		 * @param {string} to - Path relative to the base
+		 * @returns {string} URL for an href attribute
+		 */
+		href(to) {
+			return this.mode === "hash" ? `#${to}` : `${this.base}${to}`;
+		}
+
+		/**
+		 * Finds the first route matching a path.
+		 *
+		 * @param {string} path - Path without query string
+		 * @returns {{route: Object, params: Object<string, string>}|null} Match or null
+		 */
+		match(path) {
+			for (const route of this.routes) {
+				const m = route.regex.exec(path);
+				if (!m) continue;
+				const params = {};
+				route.keys.forEach((k, i) => {
+					if (m[i + 1] === undefined) return;
+					try {
+						params[k] = decodeURIComponent(m[i + 1]);
+					} catch {
+						// Malformed escapes like "%E0%A4%A" are passed on as typed
+						params[k] = m[i + 1];
+					}
+				});
+				return { route, params };
+			}
+			return null;
+		}
+
+		_location() {
+			const { pathname, search, hash } = window.location;
+			let full;
+			if (this.mode === "hash") full = hash.slice(1) || "/";
+			else if (this.base && this._inBase(pathname))
+				full = pathname.slice(this.base.length) + search || "/";
+			else full = pathname + search;
+			const [path, query = ""] = full.split("?");
+			return {
+				path: path || "/",
+				query: Object.fromEntries(new URLSearchParams(query)),
+			};
+		}
+
+		// "/app" and "/app/..." are inside base "/app", "/apple" is not
+		_inBase(pathname) {
+			return pathname === this.base || pathname.startsWith(`${this.base}/`);
+		}
+
+		_onClick(e) {
+			if (e.defaultPrevented || e.button !== 0) return;
+			if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+			const a = e.target.closest?.("a[href]");
+			if (
+				!a ||
+				(a.target && a.target !== "_self") ||
+				a.hasAttribute("download") ||
+				a.getAttribute("rel") === "external"
+			)
+				return;
+			// Hash links are handled by the browser and picked up through hashchange
+			if (a.getAttribute("href").startsWith("#")) return;
+			const url = new URL(a.href, window.location.href);
+			if (url.origin !== window.location.origin) return;
+			if (this.base && !this._inBase(url.pathname)) return;
+			e.preventDefault();
+			this.navigate(url.pathname.slice(this.base.length) + url.search);
+		}
+
+		async _resolve() {
+			const id = ++this._navId;
+			const { path, query } = this._location();
+			const found = this.match(path);
+			this.route.set({
+				path,
+				params: found?.params ?? {},
+				query,
+				pattern: found?.route.path ?? null,
+			});
+			if (!found) {
+				this._unmount();
+				return;
+			}
+
+			const current = this._current;
+			if (current?.route === found.route) {
+				Signals.batch(() => {
+					current.props.params.set(found.params);
+					current.props.query.set(query);
+				});
+				return;
+			}
+
+			let ComponentClass;
+			try {
+				ComponentClass = await this._load(found.route);
+			} catch (error) {
+				console.error(
+					`[Reactive] Failed to load route ${found.route.path}:`,
+					error,
+				);
+				return;
+			}
+			// A newer navigation started while the route module was loading
+			if (id !== this._navId || !this._container) return;
+
+			this._unmount();
+			const props = {
+				params: Signals.create(found.params, undefined, "params"),
+				query: Signals.create(query, undefined, "query"),
+			};
+			const component = new ComponentClass(props);
+			component.initState();
+			this._container.replaceChildren(component.render());
+			_flushMounts();
+			if (component.mount) component.mount();
+			this._current = { route: found.route, component, props };
+		}
+
+		_load(route) {
+			const c = route.component;
+			if (c?.prototype instanceof Reactive.Component) return c;
+			route.loaded ??= Promise.resolve(c()).then(
+				(m) => m?.default ?? m,
+				(error) => {
+					// Let the next navigation retry, e.g. after a network error
+					route.loaded = undefined;
+					throw error;
+				},
+			);
+			return route.loaded;
+		}
+
+		_unmount() {
+			if (!this._current) return;
+			this._current.component.cleanup();
+			this._container?.replaceChildren();
+			this._current = null;
 		}
 	},
 };
+
+// Hook for the dev server's hot module replacement client
+if (_hotEnabled) {
+	window.__MICROTASTIC_HMR__ = {
+		accept: (module, previous) => Reactive.hotReplace(module, previous),
+	};
+}
@@ -0,0 +1,93 @@
+// ===========================================
+// SERVICE WORKER REGISTRATION
+// ===========================================
+// Registers the sw.js generated by `microtastic prod` and drives its update flow
+
+import { Signals } from "./reactive.js";
+
+let _registration = null;
+let _reloading = false;
+let _warned = false;
+
+/**
+ * True once a new service worker is installed and waiting to take over.
+ * Show an update prompt and call {@link applyUpdate} when the user accepts.
+ * @type {Signal}
+ */
+export const updateAvailable = Signals.create(
+	false,
+	undefined,
+	"updateAvailable",
+);
+
+/**
+ * True once a service worker has precached the app, so it also works offline.
+ * @type {Signal}
+ */
+export const offlineReady = Signals.create(false, undefined, "offlineReady");
+
+const _trackInstalling = (worker) => {
+	if (!worker) return;
+	worker.addEventListener("statechange", () => {
+		if (worker.state !== "installed") return;
+		// With a controller this is an update, otherwise the first install
+		if (navigator.serviceWorker.controller) updateAvailable.set(true);
+		else offlineReady.set(true);
+	});
+};
+
+/**
+ * Registers the service worker and keeps {@link updateAvailable} and {@link offlineReady}
+ * up to date. Does nothing in browsers without service worker support, and resolves to
+ * null with a single console warning when registration fails.
+ *
+ * @param {string} [url="sw.js"] - Service worker script URL
+ * @param {RegistrationOptions} [options={}] - Options for navigator.serviceWorker.register
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null when unsupported or failed
+ * @example
+ * import { applyUpdate, registerServiceWorker, updateAvailable } from "./sw-register.js";
+ *
+ * registerServiceWorker();
+ * updateAvailable.subscribe((available) => {
+ *   updateBanner.hidden = !available;
+ * });
+ * updateButton.addEventListener("click", applyUpdate);
+ */
+export const registerServiceWorker = async (url = "sw.js", options = {}) => {
+	if (!("serviceWorker" in navigator)) return null;
+	try {
+		_registration = await navigator.serviceWorker.register(url, options);
+	} catch (error) {
+		// Expected under `microtastic dev`, which serves no sw.js
+		if (!_warned) console.warn("[sw-register] Registration failed:", error);
+		_warned = true;
+		return null;
+	}
+
+	if (_registration.waiting && navigator.serviceWorker.controller) {
+		updateAvailable.set(true);
+	}
+	if (_registration.active) offlineReady.set(true);
+	_trackInstalling(_registration.installing);
+	_registration.addEventListener("updatefound", () =>
+		_trackInstalling(_registration.installing),
+	);
+	return _registration;
+};
+
+/**
+ * Activates the waiting service worker and reloads the page once it controls it.
+ *
+ * @returns {boolean} False when there is no update waiting
+ */
+export const applyUpdate = () => {
+	const waiting = _registration?.waiting;
+	if (!waiting) return false;
+	navigator.serviceWorker.addEventListener("controllerchange", () => {
+		if (_reloading) return;
+		_reloading = true;
+		location.reload();
+	});
+	waiting.postMessage({ action: "skipWaiting" });
+	return true;
+};
@@ -1,12 +1,41 @@
 const staticCacheName = "{{cacheName}}";
 const filesToCache = {{cacheFiles}};
+const runtimeCaching = {{runtimeCaching}};
+const offlineFallback = {{offlineFallback}};
+
+// Runtime routes with their patterns compiled; same-origin patterns match the path only
+const routes = runtimeCaching.map((route) => ({
+    ...route,
+    pattern: new RegExp(route.pattern),
+}));
+const runtimeCacheNames = [...new Set(routes.map((route) => route.cacheName))];
+const CACHED_AT = "sw-cached-at";
+
+// Precached files are stored under their URL plus content revision, so files that did not
+// change between deploys are kept and only changed ones are downloaded
+const precacheKeys = new Map(filesToCache.map(({ url, revision }) => {
+    const href = new URL(url, self.location).href;
+    return [href, `${href}?__revision=${revision}`];
+}));
+
+const matchPrecache = async (url) => {
+    const key = precacheKeys.get(new URL(url, self.location).href);
+    if (!key) return undefined;
+    return (await caches.open(staticCacheName)).match(key);
+};
 
 self.addEventListener("install", (event) => {
     console.log("SW - Installing service worker and cache static assets");
-    event.waitUntil(
-        caches.open(staticCacheName)
-            .then((cache) => cache.addAll(filesToCache))
-    );
+    event.waitUntil((async () => {
+        const cache = await caches.open(staticCacheName);
+        await Promise.all([...precacheKeys].map(async ([url, key]) => {
+            if (await cache.match(key)) return;
+            console.log("SW - Precache: ", url);
+            const response = await fetch(url, { cache: "reload" });
+            if (!response.ok) throw new Error(`Failed to precache ${url}: ${response.status}`);
+            await cache.put(key, response);
+        }));
+    })());
 });
 
 self.addEventListener("message", (event) => {
@@ -18,32 +47,161 @@ self.addEventListener("message", (event) => {
 
 self.addEventListener("activate", (event) => {
     console.log("SW - Activating new service worker");
-    const cacheWhitelist = [staticCacheName];
-    event.waitUntil(
-        caches.keys().then((cacheNames) => Promise.all(
-            cacheNames.map((cacheName) => {
-                if (cacheWhitelist.indexOf(cacheName) === -1) {
-                    console.log("SW - Delete old cache: ", cacheName);
-                    return caches.delete(cacheName);
-                }
-            })
-        ))
-    );
+    const cacheWhitelist = [staticCacheName, ...runtimeCacheNames];
+    const currentKeys = new Set(precacheKeys.values());
+    event.waitUntil((async () => {
+        for (const cacheName of await caches.keys()) {
+            if (cacheWhitelist.indexOf(cacheName) === -1) {
+                console.log("SW - Delete old cache: ", cacheName);
+                await caches.delete(cacheName);
+            }
+        }
+        // Drop revisions the previous version used that are no longer current
+        const cache = await caches.open(staticCacheName);
+        for (const request of await cache.keys()) {
+            if (!currentKeys.has(request.url)) await cache.delete(request);
+        }
+    })());
     return self.clients.claim();
 });
 
+// Cached runtime response, or undefined when missing or older than the route's maxAgeSeconds
+const readCache = async (route, request) => {
+    const cache = await caches.open(route.cacheName);
+    const response = await cache.match(request);
+    if (!response) return undefined;
+    const cachedAt = Number(response.headers.get(CACHED_AT));
+    if (route.maxAgeSeconds && Date.now() - cachedAt > route.maxAgeSeconds * 1000) {
+        await cache.delete(request);
+        return undefined;
+    }
+    return response;
+};
+
+// Stores successful responses with their time, then drops the oldest entries over maxEntries
+const writeCache = async (route, request, response) => {
+    if (!response.ok) return;
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT, String(Date.now()));
+    const cache = await caches.open(route.cacheName);
+    await cache.put(request, new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+    }));
+    if (!route.maxEntries) return;
+    const keys = await cache.keys();
+    for (const key of keys.slice(0, Math.max(0, keys.length - route.maxEntries))) {
+        await cache.delete(key);
+    }
+};
+
+const fetchWithTimeout = (request, seconds) => {
+    if (!seconds) return fetch(request);
+    return Promise.race([
+        fetch(request),
+        new Promise((_, reject) =>
+            setTimeout(() => reject(new Error("Network timeout")), seconds * 1000)
+        ),
+    ]);
+};
+
+// Last resort for navigations that neither the network nor a cache can answer
+const fallback = async (request) => {
+    if (request.mode === "navigate" && offlineFallback) {
+        const response = await matchPrecache(offlineFallback);
+        if (response) return response;
+    }
+    return Response.error();
+};
+
+const strategies = {
+    "network-first": async (route, request, event) => {
+        try {
+            const response = await fetchWithTimeout(request, route.networkTimeoutSeconds);
+            event.waitUntil(writeCache(route, request, response.clone()));
+            return response;
+        } catch {
+            console.log("SW - Network failed, fetch from cache: ", request.url);
+            return (await readCache(route, request)) ?? fallback(request);
+        }
+    },
+    "stale-while-revalidate": async (route, request, event) => {
+        const update = fetch(request).then((response) => {
+            event.waitUntil(writeCache(route, request, response.clone()));
+            return response;
+        });
+        const cached = await readCache(route, request);
+        if (cached) {
+            event.waitUntil(update.catch(() => {}));
+            return cached;
+        }
+        return update.catch(() => fallback(request));
+    },
+    "cache-first": async (route, request, event) => {
+        const cached = await readCache(route, request);
+        if (cached) return cached;
+        try {
+            const response = await fetch(request);
+            event.waitUntil(writeCache(route, request, response.clone()));
+            return response;
+        } catch {
+            return fallback(request);
+        }
+    },
+    "network-only": async (route, request) => {
+        try {
+            return await fetch(request);
+        } catch {
+            return fallback(request);
+        }
+    },
+};
+
+// Pages always come from the network when possible, so a new deploy shows up right away
+const navigate = async (request) => {
+    try {
+        return await fetch(request);
+    } catch {
+        return (await matchPrecache(request.url))
+            ?? (await matchPrecache("index.html"))
+            ?? fallback(request);
+    }
+};
+
 self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    const route = routes.find((route) =>
+        route.sameOrigin
+            ? sameOrigin && route.pattern.test(url.pathname)
+            : route.pattern.test(url.origin + url.pathname)
+    );
+    if (route) {
+        event.respondWith(strategies[route.strategy](route, request, event));
+        return;
+    }
+    if (!sameOrigin) return;
+    if (request.mode === "navigate") {
+        event.respondWith(navigate(request));
+        return;
+    }
+
     event.respondWith(
-        caches.match(event.request)
+        matchPrecache(url.origin + url.pathname)
             .then((response) => {
                 if (response) {
-                    console.log("SW - Fetch from cache: ", event.request.url);
+                    console.log("SW - Fetch from cache: ", request.url);
                     return response;
                 }
-                console.log("SW - Fetch from network: ", event.request.url);
-                return fetch(event.request);
+                console.log("SW - Fetch from network: ", request.url);
+                return fetch(request);
             }).catch((error) => {
                 console.log("SW - Fetch error: ", error);
+                return Response.error();
             })
     );
-});
\ No newline at end of file
+});
@@ -173,7 +173,9 @@ test("CommandHandler.dev should start dev server", () => {
 		return this;
 	};
 
-	handler.dev();
+	// The recursive watcher on testDir would otherwise outlive the test, and the
+	// directory is created again by the tests after this one
+	const { close } = handler.dev();
 
 	assert.ok(
 		consoleSpy.mock.calls.some((call) =>
@@ -181,6 +183,87 @@ test("CommandHandler.dev should start dev server", () => {
 		),
 	);
 
+	close();
 	http.Server.prototype.listen = originalListen;
 	consoleSpy.mock.restore();
 });
+
+test("CommandHandler.preview should throw without a production build", async () => {
+	const handler = new CommandHandler({
+		logging: { silent: true },
+		settings: { serverPort: 8181 },
+		paths: { publicDir: path.join(testDir, "public") },
+	});
+
+	await assert.rejects(handler.preview(), (error) => {
+		assert.ok(error instanceof MicrotasticError);
+		assert.strictEqual(error.code, "NO_BUILD");
+		return true;
+	});
+});
+
+test("CommandHandler.preview should serve the public directory", async () => {
+	const publicDir = path.join(testDir, "public");
+	await fs.mkdir(publicDir, { recursive: true });
+	await fs.writeFile(path.join(publicDir, "index.html"), "<html>built</html>");
+	for (const file of [
+		"app-abcdefgh.css",
+		"main-B7xk2_Qa.js",
+		"Inter-SemiBold.woff2",
+	]) {
+		await fs.writeFile(path.join(publicDir, file), "x");
+	}
+	// Shared chunks are listed under their own name
+	await fs.writeFile(
+		path.join(publicDir, "manifest.json"),
+		JSON.stringify({
+			"app.css": "app-abcdefgh.css",
+			"main-B7xk2_Qa.js": "main-B7xk2_Qa.js",
+		}),
+	);
+
+	const handler = new CommandHandler({
+		logging: { silent: true },
+		settings: { serverPort: 8181 },
+		paths: { publicDir },
+	});
+
+	const consoleSpy = mock.method(console, "log", () => {});
+	const signals = ["SIGINT", "SIGTERM"];
+	const existing = signals.map((signal) => process.listeners(signal));
+	const httpServer = await handler.preview({ port: 0 });
+	try {
+		await new Promise((resolve) => httpServer.once("listening", resolve));
+		const res = await fetch(
+			`http://localhost:${httpServer.address().port}/some/route`,
+		);
+		assert.strictEqual(await res.text(), "<html>built</html>");
+		assert.ok(res.headers.get("etag"));
+
+		// Immutability comes from the build manifest, not from the file name
+		const cacheControl = async (file) => {
+			const asset = await fetch(
+				`http://localhost:${httpServer.address().port}/${file}`,
+			);
+			await asset.arrayBuffer();
+			return asset.headers.get("cache-control");
+		};
+		assert.strictEqual(
+			await cacheControl("app-abcdefgh.css"),
+			"public, max-age=31536000, immutable",
+		);
+		assert.strictEqual(
+			await cacheControl("main-B7xk2_Qa.js"),
+			"public, max-age=31536000, immutable",
+		);
+		assert.strictEqual(await cacheControl("Inter-SemiBold.woff2"), "no-cache");
+	} finally {
+		consoleSpy.mock.restore();
+		signals.forEach((signal, i) => {
+			for (const listener of process.listeners(signal)) {
+				if (!existing[i].includes(listener)) process.off(signal, listener);
+			}
+		});
+		await new Promise((resolve) => httpServer.close(resolve));
+	}
+});
@@ -281,3 +281,194 @@ test("DevServer should return 404 for SSE endpoint when hot reload disabled", as
 		});
 	});
 });
+
+/**
+ * Connects to the SSE endpoint, writes a file once connected and resolves with
+ * the first message the server sends.
+ */
+function nextReloadMessage(port, filePath, content) {
+	return new Promise((resolve, reject) => {
+		const req = http.get(`http://localhost:${port}/__reload`, (res) => {
+			res.setEncoding("utf8");
+			res.on("data", (chunk) => {
+				const match = /^data: (.*)$/m.exec(chunk);
+				if (match) {
+					req.destroy();
+					resolve(match[1]);
+				}
+			});
+			setTimeout(() => fs.writeFile(filePath, content).catch(reject), 50);
+		});
+		req.on("error", (err) => {
+			if (err.code !== "ECONNRESET") reject(err);
+		});
+	});
+}
+
+test("DevServer should send a module update for changed JS files", async () => {
+	await fs.mkdir(path.join(testDir, "src"), { recursive: true });
+	const server = new DevServer(testDir, MIME_TYPES, true, testDir);
+	const httpServer = server.createServer();
+	server.watchFiles();
+
+	await new Promise((resolve) => httpServer.listen(0, resolve));
+	try {
+		const message = await nextReloadMessage(
+			httpServer.address().port,
+			path.join(testDir, "src", "counter.js"),
+			"export class Counter {}",
+		);
+		assert.deepStrictEqual(JSON.parse(message), {
+			type: "update",
+			path: "/src/counter.js",
+		});
+	} finally {
+		server.close();
+		await new Promise((resolve) => httpServer.close(resolve));
+	}
+});
+
+test("DevServer should send a stylesheet update for changed CSS files", async () => {
+	await fs.mkdir(path.join(testDir, "css"), { recursive: true });
+	const server = new DevServer(testDir, MIME_TYPES, true, testDir);
+	const httpServer = server.createServer();
+	server.watchFiles();
+
+	await new Promise((resolve) => httpServer.listen(0, resolve));
+	try {
+		const message = await nextReloadMessage(
+			httpServer.address().port,
+			path.join(testDir, "css", "app.css"),
+			"body { color: red; }",
+		);
+		assert.deepStrictEqual(JSON.parse(message), {
+			type: "css-update",
+			path: "/css/app.css",
+		});
+	} finally {
+		server.close();
+		await new Promise((resolve) => httpServer.close(resolve));
+	}
+});
+
+test("DevServer should send a full reload for non-module changes", async () => {
+	const server = new DevServer(testDir, MIME_TYPES, true, testDir);
+	const httpServer = server.createServer();
+	server.watchFiles();
+
+	await new Promise((resolve) => httpServer.listen(0, resolve));
+	try {
+		const message = await nextReloadMessage(
+			httpServer.address().port,
+			path.join(testDir, "index.html"),
+			"<html></html>",
+		);
+		assert.strictEqual(message, "reload");
+	} finally {
+		server.close();
+		await new Promise((resolve) => httpServer.close(resolve));
+	}
+});
+
+test("DevServer reload script should hot replace modules with reload fallback", async () => {
+	await fs.writeFile(
+		path.join(testDir, "index.html"),
+		"<html><body></body></html>",
+	);
+	const server = new DevServer(testDir, MIME_TYPES, true, testDir);
+	const httpServer = server.createServer();
+	await new Promise((resolve) => httpServer.listen(0, resolve));
+	const consoleSpy = mock.method(console, "log", () => {});
+
+	try {
+		const res = await fetch(`http://localhost:${httpServer.address().port}/`);
+		const body = await res.text();
+		assert.ok(body.includes("__MICROTASTIC_HMR__"));
+		assert.ok(body.includes("window.__MICROTASTIC_HOT__ = true"));
+		assert.ok(body.includes("import(msg.path)"));
+		assert.ok(body.includes("'?t=' + Date.now()"));
+		assert.ok(body.includes("css-update"));
+		assert.ok(body.includes('link[rel="stylesheet"]'));
+		assert.ok(body.includes("window.location.reload"));
+	} finally {
+		consoleSpy.mock.restore();
+		server.close();
+		await new Promise((resolve) => httpServer.close(resolve));
+	}
+});
+
+test("DevServer in production mode should send caching and compression headers", async () => {
+	const body = "console.log('chunk');".repeat(50);
+	await fs.writeFile(path.join(testDir, "main-B7xk2_Qa.js"), body);
+	await fs.writeFile(path.join(testDir, "app.js"), body);
+	await fs.writeFile(
+		path.join(testDir, "sw.js"),
+		"self.addEventListener('fetch', () => {});",
+	);
+
+	const server = new DevServer(testDir, MIME_TYPES, false, null, {
+		production: true,
+		immutable: new Set(["main-B7xk2_Qa.js"]),
+	});
+	const httpServer = server.createServer();
+	await new Promise((resolve) => httpServer.listen(0, resolve));
+	const consoleSpy = mock.method(console, "log", () => {});
+	const base = `http://localhost:${httpServer.address().port}`;
+
+	try {
+		const hashed = await fetch(`${base}/main-B7xk2_Qa.js`, {
+			headers: { "accept-encoding": "gzip" },
+		});
+		assert.strictEqual(hashed.headers.get("content-encoding"), "gzip");
+		assert.strictEqual(
+			hashed.headers.get("cache-control"),
+			"public, max-age=31536000, immutable",
+		);
+		assert.strictEqual(await hashed.text(), body);
+
+		const plain = await fetch(`${base}/app.js`, {
+			headers: { "accept-encoding": "br, gzip" },
+		});
+		assert.strictEqual(plain.headers.get("content-encoding"), "br");
+		assert.strictEqual(plain.headers.get("cache-control"), "no-cache");
+		const etag = plain.headers.get("etag");
+		assert.ok(etag);
+		await plain.arrayBuffer();
+
+		const revalidated = await fetch(`${base}/app.js`, {
+			headers: { "if-none-match": etag },
+		});
+		assert.strictEqual(revalidated.status, 304);
+
+		const sw = await fetch(`${base}/sw.js`);
+		assert.strictEqual(sw.headers.get("service-worker-allowed"), "/");
+		assert.strictEqual(sw.headers.get("cache-control"), "no-cache");
+		await sw.arrayBuffer();
+	} finally {
+		consoleSpy.mock.restore();
+		await new Promise((resolve) => httpServer.close(resolve));
+	}
+});
+
+test("DevServer should apply the transform hook before sending", async () => {
+	await fs.writeFile(path.join(testDir, "app.js"), "const a = 1;");
+	const server = new DevServer(testDir, MIME_TYPES, false, null, {
+		transform: async (filePath, content) =>
+			path.extname(filePath) === ".js"
+				? Buffer.from(`${content}\n// transformed`)
+				: content,
+	});
+	const httpServer = server.createServer();
+	await new Promise((resolve) => httpServer.listen(0, resolve));
+	const consoleSpy = mock.method(console, "log", () => {});
+
+	try {
+		const res = await fetch(
+			`http://localhost:${httpServer.address().port}/app.js`,
+		);
+		assert.strictEqual(await res.text(), "const a = 1;\n// transformed");
+	} finally {
+		consoleSpy.mock.restore();
+		await new Promise((resolve) => httpServer.close(resolve));
+	}
+});
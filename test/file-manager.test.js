@@ -153,3 +153,44 @@ test("FileManager.copyRecursive should respect exclude list", async () => {
 	await FileManager.copyRecursive(srcDir, destDir, ["source"]);
 	assert.strictEqual(await FileManager.checkExists(destDir), false);
 });
+
+test("FileManager.globToRegExp should match glob patterns", () => {
+	const matches = (pattern, file) =>
+		FileManager.globToRegExp(pattern).test(file);
+	assert.ok(matches("*.woff2", "a.woff2"));
+	assert.ok(!matches("*.woff2", "dir/a.woff2"));
+	assert.ok(matches("**/*.js", "a.js"));
+	assert.ok(matches("**/*.js", "a/b/c.js"));
+	assert.ok(matches("img/*.{png,svg}", "img/logo.svg"));
+	assert.ok(!matches("img/*.{png,svg}", "img/logo.gif"));
+	assert.ok(matches("icon-?.svg", "icon-a.svg"));
+	assert.ok(matches("a+b.txt", "a+b.txt"));
+});
+
+test("FileManager.glob should list matching files relative to cwd", async () => {
+	for (const file of [
+		"pkg/a/files/x.woff2",
+		"pkg/a/files/x.woff",
+		"pkg/b/files/y.woff2",
+	]) {
+		await fs.mkdir(path.dirname(path.join(testDir, file)), { recursive: true });
+		await fs.writeFile(path.join(testDir, file), "");
+	}
+
+	const { base, files } = await FileManager.glob(
+		"pkg/*/files/*.woff2",
+		testDir,
+	);
+	assert.strictEqual(base, "pkg");
+	assert.deepStrictEqual(files, ["pkg/a/files/x.woff2", "pkg/b/files/y.woff2"]);
+
+	const missing = await FileManager.glob("nope/*.js", testDir);
+	assert.deepStrictEqual(missing.files, []);
+});
+
+test("FileManager.contentHash should return a stable 8 character hash", () => {
+	const hash = FileManager.contentHash("hello");
+	assert.match(hash, /^[\w-]{8}$/);
+	assert.strictEqual(FileManager.contentHash("hello"), hash);
+	assert.notStrictEqual(FileManager.contentHash("hello!"), hash);
+});
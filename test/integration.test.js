@@ -2,9 +2,10 @@ import assert from "node:assert";
 import { promises as fs } from "node:fs";
 import { tmpdir } from "node:os";
 import path from "node:path";
-import { test } from "node:test";
+import { mock, test } from "node:test";
 import { fileURLToPath } from "node:url";
-import { CommandHandler } from "../index.js";
+import vm from "node:vm";
+import { CommandHandler, Logger, MicrotasticError } from "../index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const microtasticDir = path.resolve(__dirname, "..");
@@ -54,6 +55,7 @@ function makeHandler(options = {}) {
 			minifyBuild: options.minify ?? false,
 			genServiceWorker: false,
 			hotReload: false,
+			...options.settings,
 		},
 		paths: {
 			projectDir: testDir,
@@ -70,6 +72,16 @@ function makeHandler(options = {}) {
 	});
 }
 
+/** Polls until check() resolves truthy, fails after the timeout. */
+async function waitFor(check, timeout = 5000) {
+	const start = Date.now();
+	while (Date.now() - start < timeout) {
+		if (await check().catch(() => false)) return;
+		await new Promise((resolve) => setTimeout(resolve, 50));
+	}
+	assert.fail("Timed out waiting for condition");
+}
+
 /** Returns the first .js file in public/src, throws if none found. */
 async function findBundledJs() {
 	const srcDir = path.join(testDir, "public", "src");
@@ -145,6 +157,655 @@ test("prep() bundles a real npm dependency via rolldown", async () => {
 	);
 });
 
+/** Writes a minimal ESM package into the test project's node_modules. */
+async function fakePackage(name, source, fields = {}) {
+	const dir = path.join(testDir, "node_modules", name);
+	await fs.mkdir(dir, { recursive: true });
+	await fs.writeFile(
+		path.join(dir, "package.json"),
+		JSON.stringify({
+			name,
+			version: "1.0.0",
+			type: "module",
+			main: "index.js",
+			...fields,
+		}),
+	);
+	await fs.writeFile(path.join(dir, "index.js"), source);
+}
+
+test("prep() injects an import map for bundled dependencies", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0" });
+	await fakePackage("tiny-dep", `export const greet = () => "hi";\n`);
+	const indexPath = path.join(testDir, "app", "index.html");
+	await fs.writeFile(
+		indexPath,
+		`<!DOCTYPE html><html><head><script type="importmap">{"imports":{"cdn-lib":"https://cdn.example/lib.js","gone":"/src/dependencies/gone.js"}}</script></head><body><script type="module" src="src/main.js"></script></body></html>\n`,
+	);
+
+	await makeHandler().prep();
+
+	const html = await fs.readFile(indexPath, "utf8");
+	const { imports } = JSON.parse(
+		html.match(/<script type="importmap">([\s\S]*?)<\/script>/)[1],
+	);
+	assert.deepStrictEqual(imports, {
+		"cdn-lib": "https://cdn.example/lib.js",
+		"tiny-dep": "/src/dependencies/tiny-dep.js",
+	});
+	assert.strictEqual(html.match(/type="importmap"/g).length, 1);
+});
+
+test("prep() adds the import map before the first script", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0" });
+	await fakePackage("tiny-dep", `export const greet = () => "hi";\n`);
+
+	await makeHandler().prep();
+
+	const html = await fs.readFile(
+		path.join(testDir, "app", "index.html"),
+		"utf8",
+	);
+	assert.ok(
+		html.indexOf('type="importmap"') < html.indexOf('type="module"'),
+		"import map should precede the module script",
+	);
+});
+
+test("prep() skips unchanged dependencies and rebuilds on version change", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0" });
+	await fakePackage("tiny-dep", `export const greet = () => "v1";\n`);
+	const bundled = path.join(
+		testDir,
+		"app",
+		"src",
+		"dependencies",
+		"tiny-dep.js",
+	);
+	const handler = makeHandler();
+
+	await handler.prep();
+	await fs.writeFile(bundled, "// untouched marker");
+	await handler.prep();
+	assert.strictEqual(await fs.readFile(bundled, "utf8"), "// untouched marker");
+
+	// A new installed version invalidates the cache entry
+	const pkgPath = path.join(
+		testDir,
+		"node_modules",
+		"tiny-dep",
+		"package.json",
+	);
+	const pkg = JSON.parse(await fs.readFile(pkgPath, "utf8"));
+	await fs.writeFile(pkgPath, JSON.stringify({ ...pkg, version: "1.0.1" }));
+	await handler.prep();
+	assert.ok((await fs.readFile(bundled, "utf8")).includes("v1"));
+
+	// --force rebuilds even when nothing changed
+	await fs.writeFile(bundled, "// untouched marker");
+	await handler.prep({ force: true });
+	assert.ok((await fs.readFile(bundled, "utf8")).includes("v1"));
+});
+
+test("prep() rebuilds when a transitive dependency changes", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0" });
+	await fakePackage("inner-dep", `export const inner = "inner";\n`);
+	await fakePackage("tiny-dep", `export { inner } from "inner-dep";\n`, {
+		dependencies: { "inner-dep": "^1.0.0" },
+	});
+	const bundled = path.join(
+		testDir,
+		"app",
+		"src",
+		"dependencies",
+		"tiny-dep.js",
+	);
+	const handler = makeHandler();
+	await handler.prep();
+
+	// Without a lock file the installed package.json files are read
+	await fs.writeFile(bundled, "// untouched marker");
+	await fakePackage("inner-dep", `export const inner = "inner";\n`, {
+		version: "1.0.1",
+	});
+	await handler.prep();
+	assert.ok((await fs.readFile(bundled, "utf8")).includes("inner"));
+
+	// With one, a nested install location counts as well
+	const lock = (innerVersion) =>
+		fs.writeFile(
+			path.join(testDir, "package-lock.json"),
+			JSON.stringify({
+				packages: {
+					"node_modules/tiny-dep": {
+						version: "1.0.0",
+						dependencies: { "inner-dep": "^1.0.0" },
+					},
+					"node_modules/tiny-dep/node_modules/inner-dep": {
+						version: innerVersion,
+					},
+					"node_modules/inner-dep": { version: "2.0.0" },
+				},
+			}),
+		);
+	await lock("1.0.1");
+	await handler.prep();
+	await fs.writeFile(bundled, "// untouched marker");
+	await handler.prep();
+	assert.strictEqual(await fs.readFile(bundled, "utf8"), "// untouched marker");
+
+	await lock("1.0.2");
+	await handler.prep();
+	assert.ok((await fs.readFile(bundled, "utf8")).includes("inner"));
+});
+
+test("prep() deletes bundles of removed dependencies", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0", "other-dep": "1.0.0" });
+	await fakePackage("tiny-dep", `export const a = 1;\n`);
+	await fakePackage("other-dep", `export const b = 2;\n`);
+	const depsDir = path.join(testDir, "app", "src", "dependencies");
+	const handler = makeHandler();
+	await handler.prep();
+	await fs.access(path.join(depsDir, "other-dep.js"));
+
+	const pkgPath = path.join(testDir, "package.json");
+	const pkg = JSON.parse(await fs.readFile(pkgPath, "utf8"));
+	pkg.dependencies = { "tiny-dep": "1.0.0" };
+	await fs.writeFile(pkgPath, JSON.stringify(pkg));
+	await handler.prep();
+
+	await fs.access(path.join(depsDir, "tiny-dep.js"));
+	await assert.rejects(fs.access(path.join(depsDir, "other-dep.js")));
+	const html = await fs.readFile(
+		path.join(testDir, "app", "index.html"),
+		"utf8",
+	);
+	assert.ok(!html.includes("other-dep"));
+});
+
+test("prep() with prepSharedChunks bundles shared code once", async () => {
+	await scaffoldProject({ "dep-a": "1.0.0", "dep-b": "1.0.0" });
+	await fakePackage(
+		"common-runtime",
+		`export const registry = new Map(); // SINGLETON\n`,
+	);
+	await fakePackage(
+		"dep-a",
+		`import { registry } from "common-runtime";\nexport const a = () => registry.set("a", 1);\n`,
+	);
+	await fakePackage(
+		"dep-b",
+		`import { registry } from "common-runtime";\nexport const b = () => registry.get("a");\n`,
+	);
+	const handler = makeHandler({ settings: { prepSharedChunks: true } });
+	await handler.prep();
+
+	const depsDir = path.join(testDir, "app", "src", "dependencies");
+	const chunks = await fs.readdir(path.join(depsDir, "chunks"));
+	assert.strictEqual(chunks.length, 1);
+	const shared = await fs.readFile(
+		path.join(depsDir, "chunks", chunks[0]),
+		"utf8",
+	);
+	assert.ok(shared.includes("SINGLETON") || shared.includes("new Map"));
+	for (const dep of ["dep-a", "dep-b"]) {
+		const content = await fs.readFile(path.join(depsDir, `${dep}.js`), "utf8");
+		assert.ok(content.includes(`./chunks/${chunks[0]}`));
+		assert.ok(!content.includes("new Map"));
+	}
+
+	// Unchanged dependencies are skipped as a whole
+	await fs.writeFile(path.join(depsDir, "dep-a.js"), "// untouched marker");
+	await handler.prep();
+	assert.strictEqual(
+		await fs.readFile(path.join(depsDir, "dep-a.js"), "utf8"),
+		"// untouched marker",
+	);
+});
+
+test("prep() bundles subpath entries through the exports map", async () => {
+	await scaffoldProject({ "sub-pkg": "1.0.0" });
+	const pkgDir = path.join(testDir, "node_modules", "sub-pkg");
+	await fs.mkdir(path.join(pkgDir, "lib"), { recursive: true });
+	await fs.writeFile(
+		path.join(pkgDir, "package.json"),
+		JSON.stringify({
+			name: "sub-pkg",
+			version: "1.0.0",
+			type: "module",
+			exports: {
+				"./debounce": {
+					node: "./node.js",
+					browser: "./browser.js",
+					default: "./default.js",
+				},
+				"./utils/*": "./lib/*.js",
+			},
+		}),
+	);
+	await fs.writeFile(
+		path.join(pkgDir, "node.js"),
+		`export default "node build";\n`,
+	);
+	await fs.writeFile(
+		path.join(pkgDir, "browser.js"),
+		`export default "browser build";\n`,
+	);
+	await fs.writeFile(
+		path.join(pkgDir, "default.js"),
+		`export default "default build";\n`,
+	);
+	await fs.writeFile(
+		path.join(pkgDir, "lib", "strings.js"),
+		`export const upper = (s) => s.toUpperCase();\n`,
+	);
+
+	const appPkgPath = path.join(testDir, "package.json");
+	const appPkg = JSON.parse(await fs.readFile(appPkgPath, "utf8"));
+	appPkg.microtastic = { prepEntries: ["sub-pkg/utils/strings"] };
+	await fs.writeFile(appPkgPath, JSON.stringify(appPkg));
+
+	const handler = makeHandler({
+		settings: { prepEntries: ["sub-pkg/debounce", "sub-pkg/missing"] },
+	});
+	await handler.prep({ keepGoing: true });
+
+	const depsDir = path.join(testDir, "app", "src", "dependencies");
+	const debounce = await fs.readFile(
+		path.join(depsDir, "sub-pkg", "debounce.js"),
+		"utf8",
+	);
+	assert.ok(debounce.includes("browser build"));
+	const strings = await fs.readFile(
+		path.join(depsDir, "sub-pkg", "utils", "strings.js"),
+		"utf8",
+	);
+	assert.ok(strings.includes("toUpperCase"));
+	// No "." export, so the package itself is skipped
+	await assert.rejects(fs.access(path.join(depsDir, "sub-pkg.js")));
+
+	const html = await fs.readFile(
+		path.join(testDir, "app", "index.html"),
+		"utf8",
+	);
+	assert.ok(
+		html.includes(
+			`"sub-pkg/debounce": "/src/dependencies/sub-pkg/debounce.js"`,
+		),
+	);
+	assert.ok(
+		html.includes(
+			`"sub-pkg/utils/strings": "/src/dependencies/sub-pkg/utils/strings.js"`,
+		),
+	);
+	assert.ok(!html.includes("sub-pkg/missing"));
+});
+
+test("prep() applies per-dependency options", async () => {
+	await scaffoldProject({ "env-dep": "1.0.0", "cond-dep": "1.0.0" });
+	await fakePackage(
+		"env-dep",
+		`import helper from "some-external";\nexport const mode = process.env.NODE_ENV;\nexport const useHelper = () => helper;\n`,
+	);
+	const condDir = path.join(testDir, "node_modules", "cond-dep");
+	await fs.mkdir(condDir, { recursive: true });
+	await fs.writeFile(
+		path.join(condDir, "package.json"),
+		JSON.stringify({
+			name: "cond-dep",
+			version: "1.0.0",
+			type: "module",
+			exports: { ".": { worker: "./worker.js", default: "./index.js" } },
+		}),
+	);
+	await fs.writeFile(
+		path.join(condDir, "worker.js"),
+		`export default "worker build";\n`,
+	);
+	await fs.writeFile(
+		path.join(condDir, "index.js"),
+		`export default "default build";\n`,
+	);
+
+	const appPkgPath = path.join(testDir, "package.json");
+	const appPkg = JSON.parse(await fs.readFile(appPkgPath, "utf8"));
+	appPkg.microtastic = {
+		deps: { "cond-dep": { conditions: ["worker", "import", "default"] } },
+	};
+	await fs.writeFile(appPkgPath, JSON.stringify(appPkg));
+
+	const handler = makeHandler({
+		settings: {
+			deps: {
+				"env-dep": {
+					define: { "process.env.NODE_ENV": '"production"' },
+					external: ["some-external"],
+					polyfills: false,
+				},
+			},
+		},
+	});
+	await handler.prep();
+
+	const depsDir = path.join(testDir, "app", "src", "dependencies");
+	const envDep = await fs.readFile(path.join(depsDir, "env-dep.js"), "utf8");
+	assert.ok(envDep.includes(`"production"`));
+	assert.ok(!envDep.includes("process.env"));
+	assert.ok(envDep.includes(`from "some-external"`));
+	const condDep = await fs.readFile(path.join(depsDir, "cond-dep.js"), "utf8");
+	assert.ok(condDep.includes("worker build"));
+});
+
+test("prep() rebuilds a dependency when its options change", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0" });
+	await fakePackage(
+		"tiny-dep",
+		`// a comment that minification strips\nexport const greet = () => "hi";\n`,
+	);
+	const bundled = path.join(
+		testDir,
+		"app",
+		"src",
+		"dependencies",
+		"tiny-dep.js",
+	);
+
+	await makeHandler().prep();
+	assert.ok((await fs.readFile(bundled, "utf8")).includes("greet"));
+
+	await makeHandler({
+		settings: { deps: { "tiny-dep": { minify: true } } },
+	}).prep();
+	const minified = await fs.readFile(bundled, "utf8");
+	assert.ok(!minified.includes("a comment"));
+	assert.ok(!minified.includes("\n\n"));
+});
+
+test("prep() fails when a dependency fails to bundle", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0", "broken-dep": "1.0.0" });
+	await fakePackage("tiny-dep", `export const a = 1;\n`);
+	await fakePackage("broken-dep", `export const = ;\n`);
+	const handler = makeHandler();
+
+	await assert.rejects(handler.prep(), (error) => {
+		assert.ok(error instanceof MicrotasticError);
+		assert.strictEqual(error.code, "PREP_FAILED");
+		assert.ok(error.message.includes("broken-dep"));
+		return true;
+	});
+
+	// Successful dependencies are still written and mapped
+	const depsDir = path.join(testDir, "app", "src", "dependencies");
+	await fs.access(path.join(depsDir, "tiny-dep.js"));
+	const html = await fs.readFile(
+		path.join(testDir, "app", "index.html"),
+		"utf8",
+	);
+	assert.ok(html.includes(`"tiny-dep"`));
+	assert.ok(!html.includes(`"broken-dep"`));
+});
+
+test("prep() with keepGoing reports failures in the summary", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0", "broken-dep": "1.0.0" });
+	await fakePackage("tiny-dep", `export const a = 1;\n`);
+	await fakePackage("broken-dep", `export const = ;\n`);
+	const handler = makeHandler();
+	handler.logger = new Logger();
+
+	const consoleSpy = mock.method(console, "log", () => {});
+	try {
+		await handler.prep({ keepGoing: true });
+	} finally {
+		consoleSpy.mock.restore();
+	}
+
+	const lines = consoleSpy.mock.calls.map((call) => call.arguments[0]);
+	const header = lines.findIndex((line) =>
+		/Dependency\s+Status\s+Size\s+Time/.test(line),
+	);
+	assert.ok(header >= 0, "summary table should be printed");
+	const rows = lines.slice(header + 1, header + 3);
+	assert.ok(
+		rows.some((line) => /^tiny-dep\s+built\s+\d+ B\s+\d+ms$/.test(line)),
+	);
+	assert.ok(
+		rows.some((line) => /^broken-dep\s+failed\s+-\s+\d+ms$/.test(line)),
+	);
+	assert.ok(lines.some((line) => line.includes("completed with 1 failed")));
+});
+
+test("prod() resolves bare specifiers through the import map", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0" });
+	await fakePackage("tiny-dep", `export const greet = () => "hi from dep";\n`);
+	await fs.writeFile(
+		path.join(testDir, "app", "src", "main.js"),
+		`import { greet } from "tiny-dep";\nconsole.log(greet());\n`,
+	);
+
+	const handler = makeHandler();
+	await handler.prep();
+	// Only the prepped bundle is left to resolve against
+	await fs.rm(path.join(testDir, "node_modules"), { recursive: true });
+	await handler.prod();
+
+	const content = await fs.readFile(await findBundledJs(), "utf8");
+	assert.ok(content.includes("hi from dep"));
+	assert.ok(!content.includes(`from "tiny-dep"`));
+});
+
+/** Writes files relative to the test project root. */
+async function writeFiles(files) {
+	for (const [file, content] of Object.entries(files)) {
+		await fs.mkdir(path.dirname(path.join(testDir, file)), { recursive: true });
+		await fs.writeFile(path.join(testDir, file), content);
+	}
+}
+
+async function setAssetCopy(assetCopy) {
+	const pkgPath = path.join(testDir, "package.json");
+	const pkg = JSON.parse(await fs.readFile(pkgPath, "utf8"));
+	await fs.writeFile(pkgPath, JSON.stringify({ ...pkg, assetCopy }));
+}
+
+test("prep() copies glob assetCopy sources", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"node_modules/@fontsource/raleway/files/raleway-400.woff2": "r400",
+		"node_modules/@fontsource/raleway/files/raleway-400.woff": "old",
+		"node_modules/@fontsource/inter/files/inter-700.woff2": "i700",
+	});
+	await setAssetCopy([
+		{
+			source: "node_modules/@fontsource/*/files/*.woff2",
+			dest: "app/fonts",
+		},
+		{
+			source: "node_modules/@fontsource/*/files/*.woff2",
+			dest: "app/flat-fonts",
+			flatten: true,
+		},
+	]);
+	await makeHandler().prep();
+
+	const read = (file) => fs.readFile(path.join(testDir, file), "utf8");
+	assert.strictEqual(
+		await read("app/fonts/raleway/files/raleway-400.woff2"),
+		"r400",
+	);
+	assert.strictEqual(
+		await read("app/fonts/inter/files/inter-700.woff2"),
+		"i700",
+	);
+	assert.deepStrictEqual(
+		(await fs.readdir(path.join(testDir, "app", "flat-fonts"))).sort(),
+		["inter-700.woff2", "raleway-400.woff2"],
+	);
+});
+
+test("prep() renames and hashes copied assets", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"node_modules/icons/svg/home.svg": "<svg>home</svg>",
+		"node_modules/icons/svg/user.svg": "<svg>user</svg>",
+		"node_modules/wasm-lib/lib.wasm": "wasm",
+	});
+	await setAssetCopy([
+		{ source: "node_modules/icons/svg", dest: "app/icons", hash: true },
+		{
+			source: "node_modules/wasm-lib/lib.wasm",
+			dest: "app/wasm/lib.wasm",
+			rename: "[name].v1[ext]",
+		},
+	]);
+	await makeHandler().prep();
+
+	const icons = await fs.readdir(path.join(testDir, "app", "icons"));
+	assert.strictEqual(icons.length, 2);
+	assert.ok(icons.every((icon) => /^(home|user)-[\w-]{8}\.svg$/.test(icon)));
+	await fs.access(path.join(testDir, "app", "wasm", "lib.v1.wasm"));
+});
+
+test("prep() removes outdated hashed copies when an asset is copied again", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"node_modules/icons/svg/home.svg": "<svg>home</svg>",
+		"node_modules/icons/logo.svg": "<svg>logo</svg>",
+	});
+	await setAssetCopy([
+		{ source: "node_modules/icons/svg", dest: "app/icons", hash: true },
+		{
+			source: "node_modules/icons/logo.svg",
+			dest: "app/logo.svg",
+			rename: "[name]-[hash][ext]",
+		},
+	]);
+	// Separate handlers, like two runs of microtastic prep
+	await makeHandler().prep();
+	await writeFiles({
+		"node_modules/icons/svg/home.svg": "<svg>home v2</svg>",
+		"node_modules/icons/logo.svg": "<svg>logo v2</svg>",
+	});
+	await makeHandler().prep();
+
+	const icons = await fs.readdir(path.join(testDir, "app", "icons"));
+	assert.strictEqual(icons.length, 1);
+	const logos = (await fs.readdir(path.join(testDir, "app"))).filter((file) =>
+		file.startsWith("logo-"),
+	);
+	assert.strictEqual(logos.length, 1);
+	assert.strictEqual(
+		await fs.readFile(path.join(testDir, "app", logos[0]), "utf8"),
+		"<svg>logo v2</svg>",
+	);
+});
+
+test("prep() writes asset-map.json with the hashed asset names", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"node_modules/icons/svg/home.svg": "<svg>home</svg>",
+		"node_modules/icons/logo.svg": "<svg>logo</svg>",
+		"node_modules/icons/font.woff2": "font",
+	});
+	await setAssetCopy([
+		{ source: "node_modules/icons/svg", dest: "app/icons", hash: true },
+		{ source: "node_modules/icons/logo.svg", dest: "app/logo.svg", hash: true },
+		{ source: "node_modules/icons/font.woff2", dest: "app/font.woff2" },
+	]);
+	await makeHandler().prep();
+
+	const map = JSON.parse(
+		await fs.readFile(path.join(testDir, "app", "asset-map.json"), "utf8"),
+	);
+	assert.deepStrictEqual(Object.keys(map), ["icons/home.svg", "logo.svg"]);
+	assert.match(map["icons/home.svg"], /^icons\/home-[\w-]{8}\.svg$/);
+	assert.strictEqual(
+		await fs.readFile(path.join(testDir, "app", map["logo.svg"]), "utf8"),
+		"<svg>logo</svg>",
+	);
+});
+
+test("prep() deletes the copies of removed assetCopy entries", async () => {
+	await scaffoldProject();
+	await writeFiles({ "node_modules/icons/logo.svg": "<svg>logo</svg>" });
+	await setAssetCopy([
+		{ source: "node_modules/icons/logo.svg", dest: "app/logo.svg", hash: true },
+	]);
+	await makeHandler().prep();
+	await setAssetCopy([]);
+	await makeHandler().prep();
+
+	const files = await fs.readdir(path.join(testDir, "app"));
+	assert.ok(!files.some((file) => file.startsWith("logo-")));
+	assert.ok(!files.includes("asset-map.json"));
+});
+
+test("prep() reports flattened assets that would overwrite each other", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"node_modules/a/icon.svg": "a",
+		"node_modules/b/icon.svg": "b",
+	});
+	await setAssetCopy([
+		{ source: "node_modules/*/icon.svg", dest: "app/icons", flatten: true },
+	]);
+	const handler = makeHandler();
+	handler.logger = new Logger();
+	const consoleSpy = mock.method(console, "log", () => {});
+	try {
+		await handler.prep();
+	} finally {
+		consoleSpy.mock.restore();
+	}
+	assert.ok(
+		consoleSpy.mock.calls.some((call) =>
+			call.arguments[0].includes("would both be copied to"),
+		),
+	);
+});
+
+test("dev() re-copies assets when a source changes", async () => {
+	await scaffoldProject();
+	await writeFiles({ "node_modules/icons/svg/home.svg": "v1" });
+	await setAssetCopy([
+		{ source: "node_modules/icons/svg/*.svg", dest: "app/icons" },
+	]);
+	const handler = makeHandler({ settings: { hotReload: true, serverPort: 0 } });
+	handler.paths.projectPkgPath = path.join(testDir, "package.json");
+	await handler.prep();
+
+	const signals = ["SIGINT", "SIGTERM"];
+	const existing = signals.map((signal) => process.listeners(signal));
+	const consoleSpy = mock.method(console, "log", () => {});
+	const { close } = handler.dev();
+	try {
+		// The asset watcher starts asynchronously, so touch the source until it's picked up
+		const source = path.join(
+			testDir,
+			"node_modules",
+			"icons",
+			"svg",
+			"home.svg",
+		);
+		const dest = path.join(testDir, "app", "icons", "home.svg");
+		let lastWrite = 0;
+		await waitFor(async () => {
+			if (Date.now() - lastWrite > 500) {
+				lastWrite = Date.now();
+				await fs.writeFile(source, "v2");
+			}
+			return (await fs.readFile(dest, "utf8")) === "v2";
+		});
+	} finally {
+		close();
+		consoleSpy.mock.restore();
+		signals.forEach((signal, i) => {
+			for (const listener of process.listeners(signal)) {
+				if (!existing[i].includes(listener)) process.off(signal, listener);
+			}
+		});
+	}
+});
+
 // ---------------------------------------------------------------------------
 // prod() — bundles the app entry point with rolldown
 // ---------------------------------------------------------------------------
@@ -205,3 +866,776 @@ test("prod() copies static assets from app/ (non-src) to public/", async () => {
 		"public/index.html should exist after prod()",
 	);
 });
+
+test("prod() hashes file names, rewrites HTML and writes manifest.json", async () => {
+	await scaffoldProject();
+	await fs.writeFile(path.join(testDir, "app", "style.css"), "body {}");
+	await fs.writeFile(
+		path.join(testDir, "app", "index.html"),
+		`<link rel="stylesheet" href="/style.css"><script type="module" src="src/main.js"></script>\n`,
+	);
+	const handler = makeHandler();
+	await handler.prod();
+
+	const publicDir = path.join(testDir, "public");
+	const manifest = JSON.parse(
+		await fs.readFile(path.join(publicDir, "manifest.json"), "utf8"),
+	);
+	assert.match(manifest["src/main.js"], /^src\/main-[\w-]{8}\.js$/);
+	assert.match(manifest["style.css"], /^style-[\w-]{8}\.css$/);
+	await fs.access(path.join(publicDir, manifest["src/main.js"]));
+	await fs.access(path.join(publicDir, manifest["style.css"]));
+	await fs.access(path.join(publicDir, "style.css"));
+
+	const html = await fs.readFile(path.join(publicDir, "index.html"), "utf8");
+	assert.ok(html.includes(`src="${manifest["src/main.js"]}"`));
+	assert.ok(html.includes(`href="/${manifest["style.css"]}"`));
+});
+
+test("prod() lists shared chunks in manifest.json", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"app/src/main.js": `import("./a.js");\nimport("./b.js");\n`,
+		"app/src/a.js": `import { shared } from "./shared.js";\nshared("a");\n`,
+		"app/src/b.js": `import { shared } from "./shared.js";\nshared("b");\n`,
+		"app/src/shared.js": `export const shared = (name) => console.log("${"x".repeat(200)}", name);\n`,
+	});
+	await makeHandler().prod();
+
+	const publicDir = path.join(testDir, "public");
+	const manifest = JSON.parse(
+		await fs.readFile(path.join(publicDir, "manifest.json"), "utf8"),
+	);
+	const chunks = (await fs.readdir(path.join(publicDir, "src"))).filter(
+		(file) => file.endsWith(".js"),
+	);
+	assert.strictEqual(chunks.length, 4);
+	const listed = new Set(Object.values(manifest));
+	for (const chunk of chunks) assert.ok(listed.has(`src/${chunk}`), chunk);
+});
+
+test("prod() with hashFileNames:false keeps fixed names", async () => {
+	await scaffoldProject();
+	const handler = makeHandler({ settings: { hashFileNames: false } });
+	await handler.prod();
+
+	const publicDir = path.join(testDir, "public");
+	await fs.access(path.join(publicDir, "src", "main.js"));
+	await assert.rejects(fs.access(path.join(publicDir, "manifest.json")));
+});
+
+test("prod() service worker precaches hashed copies from the manifest", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"app/index.html": `<!DOCTYPE html><html><head><link rel="stylesheet" href="style.css"></head><body><script type="module" src="src/main.js"></script></body></html>\n`,
+		"app/style.css": "@font-face { src: url(fonts/a.woff2); }",
+		"app/fonts/a.woff2": "font",
+	});
+	const handler = makeHandler({ settings: { genServiceWorker: true } });
+	await handler.prod();
+
+	const publicDir = path.join(testDir, "public");
+	const manifest = JSON.parse(
+		await fs.readFile(path.join(publicDir, "manifest.json"), "utf8"),
+	);
+	const sw = await fs.readFile(path.join(publicDir, "sw.js"), "utf8");
+	assert.ok(sw.includes(`"${manifest["style.css"]}"`));
+	assert.ok(sw.includes(`"${manifest["src/main.js"]}"`));
+	// The HTML was rewritten to the hashed stylesheet
+	assert.ok(!sw.includes(`"style.css"`));
+	// The stylesheet still loads the font by its original name
+	assert.ok(sw.includes(`"fonts/a.woff2"`));
+	assert.ok(!sw.includes(`"${manifest["fonts/a.woff2"]}"`));
+	assert.ok(!sw.includes(`"manifest.json"`));
+});
+
+/**
+ * Installs the generated sw.js against an in-memory Cache API and a fake fetch. Precache
+ * downloads are recorded in downloads and answered with "precached <file>", other fetches
+ * go to network(pathname). Pass the stores of an earlier worker to simulate an update.
+ * request(url, mode) resolves to the response text, or null when the worker passes the
+ * request through.
+ */
+async function loadServiceWorker(network, stores = new Map()) {
+	const origin = "https://app.test";
+	const key = (request) =>
+		new URL(typeof request === "string" ? request : request.url, `${origin}/`)
+			.href;
+	const downloads = [];
+	const open = async (name) => {
+		if (!stores.has(name)) stores.set(name, new Map());
+		const store = stores.get(name);
+		return {
+			match: async (request) => store.get(key(request))?.clone(),
+			put: async (request, response) => {
+				store.delete(key(request));
+				store.set(key(request), response);
+			},
+			delete: async (request) => store.delete(key(request)),
+			keys: async () => [...store.keys()].map((url) => ({ url })),
+		};
+	};
+	const caches = {
+		open,
+		keys: async () => [...stores.keys()],
+		delete: async (name) => stores.delete(name),
+		match: async (request, { cacheName }) =>
+			(await open(cacheName)).match(request),
+	};
+	const listeners = {};
+	const clock = { now: Date.now() };
+	vm.runInNewContext(
+		await fs.readFile(path.join(testDir, "public", "sw.js"), "utf8"),
+		{
+			self: {
+				addEventListener: (type, listener) => {
+					listeners[type] = listener;
+				},
+				location: new URL(origin),
+				clients: { claim: () => {} },
+			},
+			caches,
+			fetch: async (request, init) => {
+				const { pathname } = new URL(key(request));
+				if (init?.cache !== "reload") return network(pathname);
+				downloads.push(pathname);
+				return new Response(`precached ${pathname.slice(1)}`);
+			},
+			Response,
+			Headers,
+			URL,
+			Date: { now: () => clock.now },
+			setTimeout,
+			console: { log: () => {} },
+		},
+	);
+
+	const waitUntil = (event) => (promise) => event.pending.push(promise);
+	const lifecycle = async (type) => {
+		const event = { pending: [] };
+		event.waitUntil = waitUntil(event);
+		listeners[type](event);
+		await Promise.all(event.pending);
+	};
+	await lifecycle("install");
+
+	const request = async (url, mode = "cors") => {
+		const event = { request: { url: `${origin}${url}`, method: "GET", mode } };
+		event.pending = [];
+		event.waitUntil = waitUntil(event);
+		event.respondWith = (response) => {
+			event.response = response;
+		};
+		listeners.fetch(event);
+		if (!event.response) return null;
+		const response = await event.response;
+		await Promise.all(event.pending);
+		return response.type === "error" ? "error" : response.text();
+	};
+	return {
+		request,
+		clock,
+		stores,
+		downloads,
+		activate: () => lifecycle("activate"),
+	};
+}
+
+test("prod() service worker applies the configured caching strategies", async () => {
+	await scaffoldProject();
+	await fs.writeFile(path.join(testDir, "app", "offline.html"), "offline");
+	const handler = makeHandler({
+		settings: {
+			genServiceWorker: true,
+			swRuntimeCaching: [
+				{ urlPattern: "/api/**", strategy: "network-first" },
+				{
+					urlPattern: "/images/*.png",
+					strategy: "cache-first",
+					cacheName: "images",
+					maxEntries: 1,
+					maxAgeSeconds: 60,
+				},
+				{ urlPattern: "/auth/**", strategy: "network-only" },
+			],
+			swOfflineFallback: "offline.html",
+		},
+	});
+	await handler.prod();
+
+	let online = true;
+	let requests = 0;
+	const sw = await loadServiceWorker(async (url) => {
+		requests++;
+		if (!online) throw new TypeError("Failed to fetch");
+		return new Response(`network ${url} ${requests}`);
+	});
+
+	// network-first answers from the cache only when the network is down
+	assert.strictEqual(await sw.request("/api/todos"), "network /api/todos 1");
+	online = false;
+	assert.strictEqual(await sw.request("/api/todos"), "network /api/todos 1");
+	online = true;
+
+	// cache-first with maxEntries and maxAgeSeconds
+	requests = 0;
+	assert.strictEqual(
+		await sw.request("/images/a.png"),
+		"network /images/a.png 1",
+	);
+	assert.strictEqual(
+		await sw.request("/images/a.png"),
+		"network /images/a.png 1",
+	);
+	await sw.request("/images/b.png");
+	assert.strictEqual(
+		await sw.request("/images/a.png"),
+		"network /images/a.png 3",
+	);
+	sw.clock.now += 61 * 1000;
+	assert.strictEqual(
+		await sw.request("/images/a.png"),
+		"network /images/a.png 4",
+	);
+
+	// network-only and navigations fall back to the offline page
+	online = false;
+	assert.strictEqual(await sw.request("/auth/session"), "error");
+	assert.strictEqual(
+		await sw.request("/auth/login", "navigate"),
+		"precached offline.html",
+	);
+	assert.strictEqual(await sw.request("/", "navigate"), "precached index.html");
+
+	// Precached files are served from the cache
+	const manifest = JSON.parse(
+		await fs.readFile(path.join(testDir, "public", "manifest.json"), "utf8"),
+	);
+	const bundle = manifest["src/main.js"];
+	assert.strictEqual(await sw.request(`/${bundle}`), `precached ${bundle}`);
+});
+
+test("prod() service worker only downloads files whose content changed", async () => {
+	await scaffoldProject();
+	await writeFiles({ "app/style.css": "body {}", "app/logo.svg": "<svg/>" });
+	const build = async () => {
+		await makeHandler({
+			settings: { genServiceWorker: true, hashFileNames: false },
+		}).prod();
+		return fs.readFile(path.join(testDir, "public", "sw.js"), "utf8");
+	};
+	const offline = async () => {
+		throw new TypeError("Failed to fetch");
+	};
+
+	const first = await build();
+	assert.ok(first.includes(`"test-app-precache"`));
+	assert.strictEqual(await build(), first);
+	const v1 = await loadServiceWorker(offline);
+	assert.deepStrictEqual(v1.downloads.sort(), [
+		"/index.html",
+		"/logo.svg",
+		"/src/main.js",
+		"/style.css",
+	]);
+	await v1.activate();
+
+	await fs.writeFile(
+		path.join(testDir, "app", "style.css"),
+		"body { margin: 0 }",
+	);
+	assert.notStrictEqual(await build(), first);
+	const v2 = await loadServiceWorker(offline, v1.stores);
+	assert.deepStrictEqual(v2.downloads, ["/style.css"]);
+
+	// Activation drops the old revision and keeps serving the unchanged files
+	await v2.activate();
+	const precache = v2.stores.get("test-app-precache");
+	assert.strictEqual(precache.size, 4);
+	assert.strictEqual(await v2.request("/logo.svg"), "precached logo.svg");
+	assert.strictEqual(await v2.request("/style.css"), "precached style.css");
+});
+
+test("prod() filters the precache list by glob and file size", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"app/style.css": "body {}",
+		"app/print.css": "@page {}",
+		"app/videos/intro.mp4": "x".repeat(100),
+		"app/images/hero.png": "x".repeat(3000),
+		"app/offline.html": "offline",
+		"app/sw.js": "// stale worker",
+	});
+	const handler = makeHandler({
+		settings: {
+			genServiceWorker: true,
+			swInclude: ["**/*.{html,js,css,png}"],
+			swExclude: ["print.css"],
+			swMaxFileSize: "2 kB",
+			swOfflineFallback: "offline.html",
+		},
+	});
+	handler.logger = new Logger();
+	const consoleSpy = mock.method(console, "log", () => {});
+	try {
+		await handler.prod();
+	} finally {
+		consoleSpy.mock.restore();
+	}
+
+	const manifest = JSON.parse(
+		await fs.readFile(path.join(testDir, "public", "manifest.json"), "utf8"),
+	);
+	const sw = await fs.readFile(path.join(testDir, "public", "sw.js"), "utf8");
+	const urls = [...sw.matchAll(/"url": "([^"]+)"/g)].map((match) => match[1]);
+	assert.deepStrictEqual(
+		urls,
+		[
+			"index.html",
+			"offline.html",
+			manifest["src/main.js"],
+			// Not linked from the HTML, so the original is what gets requested
+			"style.css",
+		].sort(),
+	);
+
+	const lines = consoleSpy.mock.calls.map((call) => call.arguments[0]);
+	assert.ok(
+		lines.some((line) =>
+			line.includes(
+				"WARNING: Not precaching files over 2.0 kB: images/hero.png (2.9 kB)",
+			),
+		),
+	);
+	assert.ok(
+		lines.some((line) =>
+			/WARNING: Service worker precaches 4 files \(\d+ B\) on install/.test(
+				line,
+			),
+		),
+	);
+});
+
+test("prod() rejects unknown service worker strategies", async () => {
+	await scaffoldProject();
+	const handler = makeHandler({
+		settings: {
+			genServiceWorker: true,
+			swRuntimeCaching: [{ urlPattern: "/api/**", strategy: "cache-only" }],
+		},
+	});
+	await assert.rejects(handler.prod(), (error) => {
+		assert.ok(error instanceof MicrotasticError);
+		assert.strictEqual(error.code, "CONFIG_ERROR");
+		assert.match(error.message, /Unknown service worker strategy "cache-only"/);
+		return true;
+	});
+});
+
+/** Smallest PNG header that carries the image size. */
+function pngHeader(width, height) {
+	const header = Buffer.alloc(24);
+	Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header);
+	header.writeUInt32BE(13, 8);
+	header.write("IHDR", 12, "ascii");
+	header.writeUInt32BE(width, 16);
+	header.writeUInt32BE(height, 20);
+	return header;
+}
+
+test("prod() generates the web app manifest and links it", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"app/icons/icon-192.png": pngHeader(192, 192),
+		"app/icons/icon-512.png": pngHeader(512, 512),
+		"app/icons/mask.svg": "<svg/>",
+	});
+	const handler = makeHandler({
+		settings: {
+			genServiceWorker: true,
+			swInclude: ["**/*.js", "icons/*.png"],
+			pwa: {
+				name: "Test Application",
+				shortName: "Test",
+				themeColor: "#336699",
+				icons: [
+					"icons/icon-192.png",
+					{ src: "icons/icon-512.png", purpose: "any maskable" },
+					"icons/mask.svg",
+				],
+			},
+		},
+	});
+	await handler.prod();
+
+	const publicDir = path.join(testDir, "public");
+	const manifest = JSON.parse(
+		await fs.readFile(path.join(publicDir, "manifest.json"), "utf8"),
+	);
+	const webManifest = JSON.parse(
+		await fs.readFile(path.join(publicDir, "manifest.webmanifest"), "utf8"),
+	);
+	assert.deepStrictEqual(webManifest, {
+		name: "Test Application",
+		short_name: "Test",
+		start_url: "./",
+		display: "standalone",
+		theme_color: "#336699",
+		background_color: "#336699",
+		icons: [
+			{
+				src: manifest["icons/icon-192.png"],
+				sizes: "192x192",
+				type: "image/png",
+			},
+			{
+				src: manifest["icons/icon-512.png"],
+				purpose: "any maskable",
+				sizes: "512x512",
+				type: "image/png",
+			},
+			{
+				src: manifest["icons/mask.svg"],
+				sizes: "any",
+				type: "image/svg+xml",
+			},
+		],
+	});
+
+	const html = await fs.readFile(path.join(publicDir, "index.html"), "utf8");
+	assert.ok(html.includes(`<link rel="manifest" href="manifest.webmanifest">`));
+	assert.ok(html.includes(`<meta name="theme-color" content="#336699">`));
+	assert.ok(html.indexOf("theme-color") < html.indexOf("<body>"));
+
+	// Precached even though swInclude only lists scripts
+	const sw = await fs.readFile(path.join(publicDir, "sw.js"), "utf8");
+	assert.ok(sw.includes(`"url": "manifest.webmanifest"`));
+	assert.ok(!sw.includes(`"url": "index.html"`));
+	// The web manifest points at the hashed icons
+	assert.ok(sw.includes(`"url": "${manifest["icons/icon-192.png"]}"`));
+	assert.ok(!sw.includes(`"url": "icons/icon-192.png"`));
+});
+
+test("prod() keeps existing manifest tags and rejects invalid pwa settings", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"app/index.html": `<html><head><link rel="manifest" href="/app.webmanifest"><meta name="theme-color" content="#000"></head><body></body></html>`,
+	});
+	await makeHandler({ settings: { pwa: { themeColor: "#fff" } } }).prod();
+	const html = await fs.readFile(
+		path.join(testDir, "public", "index.html"),
+		"utf8",
+	);
+	assert.strictEqual(html.match(/rel="manifest"/g).length, 1);
+	assert.strictEqual(html.match(/theme-color/g).length, 1);
+	const webManifest = JSON.parse(
+		await fs.readFile(
+			path.join(testDir, "public", "manifest.webmanifest"),
+			"utf8",
+		),
+	);
+	assert.strictEqual(webManifest.name, "test-app");
+
+	await assert.rejects(
+		makeHandler({ settings: { pwa: { display: "window" } } }).prod(),
+		(error) => {
+			assert.ok(error instanceof MicrotasticError);
+			assert.strictEqual(error.code, "CONFIG_ERROR");
+			assert.match(error.message, /Invalid pwa.display "window"/);
+			return true;
+		},
+	);
+	await assert.rejects(
+		makeHandler({ settings: { pwa: { icons: ["missing.png"] } } }).prod(),
+		/PWA icon missing.png not found/,
+	);
+});
+
+test("prod() prints raw, gzip and brotli sizes of emitted files", async () => {
+	await scaffoldProject();
+	const handler = makeHandler();
+	handler.logger = new Logger();
+	const consoleSpy = mock.method(console, "log", () => {});
+	try {
+		await handler.prod();
+	} finally {
+		consoleSpy.mock.restore();
+	}
+
+	const lines = consoleSpy.mock.calls.map((call) => call.arguments[0]);
+	assert.ok(lines.some((line) => /^File\s+Raw\s+Gzip\s+Brotli$/.test(line)));
+	assert.ok(
+		lines.some((line) =>
+			/^src\/main-[\w-]{8}\.js\s+\d+ B\s+\d+ B\s+\d+ B$/.test(line),
+		),
+	);
+	assert.ok(lines.some((line) => /^Total\s+/.test(line)));
+});
+
+test("prod() fails when a size budget is exceeded", async () => {
+	await scaffoldProject();
+	const handler = makeHandler({
+		settings: {
+			sizeBudgets: [
+				{ path: "src/*.js", gzip: "10 kB" },
+				{ path: "src/main-*.js", raw: 10 },
+			],
+		},
+	});
+
+	await assert.rejects(handler.prod(), (error) => {
+		assert.ok(error instanceof MicrotasticError);
+		assert.strictEqual(error.code, "BUDGET_EXCEEDED");
+		assert.match(
+			error.message,
+			/src\/main-[\w-]{8}\.js is \d+ B raw, budget 10 B/,
+		);
+		assert.ok(!error.message.includes("gzip"));
+		return true;
+	});
+});
+
+test("prep() and prod() write sizes to the JSON report", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0" });
+	await fakePackage("tiny-dep", `export const a = 1;\n`);
+	const handler = makeHandler({
+		settings: { sizeReport: "reports/sizes.json" },
+	});
+	await handler.prep();
+	await handler.prod();
+
+	const report = JSON.parse(
+		await fs.readFile(path.join(testDir, "reports", "sizes.json"), "utf8"),
+	);
+	assert.deepStrictEqual(
+		report.prep.files.map((file) => file.file),
+		["dependencies/tiny-dep.js"],
+	);
+	assert.match(report.prod.files[0].file, /^src\/main-[\w-]{8}\.js$/);
+	for (const key of ["raw", "gzip", "brotli"]) {
+		assert.strictEqual(typeof report.prod.files[0][key], "number");
+	}
+	assert.ok(!Number.isNaN(Date.parse(report.prod.date)));
+});
+
+test("prod() writes source maps and leaves them out of the precache", async () => {
+	await scaffoldProject();
+	const handler = makeHandler({
+		minify: true,
+		settings: { sourceMaps: "external", genServiceWorker: true },
+	});
+	await handler.prod();
+
+	const srcFiles = await fs.readdir(path.join(testDir, "public", "src"));
+	const bundle = srcFiles.find((file) => /^main-[\w-]{8}\.js$/.test(file));
+	assert.ok(srcFiles.includes(`${bundle}.map`));
+	const content = await fs.readFile(
+		path.join(testDir, "public", "src", bundle),
+		"utf8",
+	);
+	assert.ok(content.includes(`//# sourceMappingURL=${bundle}.map`));
+
+	const publicFiles = await fs.readdir(path.join(testDir, "public"));
+	assert.ok(publicFiles.includes("sw.js.map"));
+	const sw = await fs.readFile(path.join(testDir, "public", "sw.js"), "utf8");
+	assert.ok(sw.includes(`src/${bundle}`));
+	assert.ok(!sw.includes(`src/${bundle}.map`));
+	assert.ok(sw.includes("//# sourceMappingURL=sw.js.map"));
+});
+
+test("prod() with hidden and inline source maps", async () => {
+	await scaffoldProject();
+	await makeHandler({ settings: { sourceMaps: "hidden" } }).prod();
+	let srcFiles = await fs.readdir(path.join(testDir, "public", "src"));
+	let bundle = srcFiles.find((file) => file.endsWith(".js"));
+	assert.ok(srcFiles.includes(`${bundle}.map`));
+	let content = await fs.readFile(
+		path.join(testDir, "public", "src", bundle),
+		"utf8",
+	);
+	assert.ok(!content.includes("sourceMappingURL"));
+
+	await makeHandler({ settings: { sourceMaps: "inline" } }).prod();
+	srcFiles = await fs.readdir(path.join(testDir, "public", "src"));
+	assert.ok(!srcFiles.some((file) => file.endsWith(".map")));
+	bundle = srcFiles.find((file) => file.endsWith(".js"));
+	content = await fs.readFile(
+		path.join(testDir, "public", "src", bundle),
+		"utf8",
+	);
+	assert.ok(content.includes("//# sourceMappingURL=data:application/json;"));
+});
+
+test("prod() rejects an invalid sourceMaps setting", async () => {
+	await scaffoldProject();
+	const handler = makeHandler({ settings: { sourceMaps: "yes" } });
+	await assert.rejects(handler.prod(), (error) => {
+		assert.ok(error instanceof MicrotasticError);
+		assert.strictEqual(error.code, "CONFIG_ERROR");
+		assert.match(error.message, /Invalid sourceMaps setting: "yes"/);
+		return true;
+	});
+});
+
+test("prep() writes dependency source maps and rebuilds when the mode changes", async () => {
+	await scaffoldProject({ "tiny-dep": "1.0.0" });
+	await fakePackage("tiny-dep", `export const a = 1;\n`);
+	const depsDir = path.join(testDir, "app", "src", "dependencies");
+	await makeHandler().prep();
+	assert.ok(!(await fs.readdir(depsDir)).includes("tiny-dep.js.map"));
+
+	await makeHandler({ settings: { sourceMaps: "external" } }).prep();
+	assert.ok((await fs.readdir(depsDir)).includes("tiny-dep.js.map"));
+
+	// Switching back rebuilds without a map
+	await makeHandler().prep();
+	assert.ok(!(await fs.readdir(depsDir)).includes("tiny-dep.js.map"));
+});
+
+test("prod() exposes public .env variables through import.meta.env", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		".env":
+			"PUBLIC_API=https://dev.example.com\nPUBLIC_NAME=base\nSECRET_TOKEN=hunter2\n",
+		".env.production": "export PUBLIC_API='https://api.example.com'\n",
+		".env.local": `# local overrides\nPUBLIC_NAME="local value" # inline comment\n`,
+		"app/src/main.js": [
+			"console.log(import.meta.env.PUBLIC_API);",
+			"console.log(import.meta.env.PUBLIC_NAME, import.meta.env.MODE);",
+			"console.log(import.meta.env.SECRET_TOKEN, import.meta.env.PROD);",
+			"",
+		].join("\n"),
+	});
+	await makeHandler().prod();
+
+	const content = await fs.readFile(await findBundledJs(), "utf8");
+	assert.ok(content.includes(`console.log("https://api.example.com")`));
+	assert.ok(content.includes(`console.log("local value", "production")`));
+	assert.ok(!content.includes("import.meta.env"));
+	assert.ok(!content.includes("hunter2"));
+	assert.ok(!content.includes("dev.example.com"));
+});
+
+test("dev() applies import.meta.env replacements to app/src modules", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		".env": "PUBLIC_API=https://api.example.com\nSECRET_TOKEN=hunter2\n",
+		".env.development": "PUBLIC_API=http://localhost:3000\n",
+		"app/src/main.js": [
+			"// import.meta.env.PUBLIC_API stays in comments",
+			"console.log(import.meta.env.PUBLIC_API, import.meta.env.SECRET_TOKEN);",
+			'console.log("and in import.meta.env.PUBLIC_API strings");',
+			"",
+		].join("\n"),
+	});
+	const handler = makeHandler({ settings: { serverPort: 0 } });
+
+	const signals = ["SIGINT", "SIGTERM"];
+	const existing = signals.map((signal) => process.listeners(signal));
+	const consoleSpy = mock.method(console, "log", () => {});
+	const { httpServer, close } = handler.dev();
+	try {
+		await new Promise((resolve) => httpServer.once("listening", resolve));
+		const res = await fetch(
+			`http://localhost:${httpServer.address().port}/src/main.js`,
+		);
+		const code = await res.text();
+		assert.ok(code.includes(`console.log("http://localhost:3000", {`));
+		assert.ok(code.includes(`"MODE": "development"`));
+		assert.ok(code.includes("}.SECRET_TOKEN"));
+		assert.ok(!code.includes("hunter2"));
+		// Like rolldown's define in prod, only real references are replaced
+		assert.ok(code.includes("// import.meta.env.PUBLIC_API stays in comments"));
+		assert.ok(code.includes(`"and in import.meta.env.PUBLIC_API strings"`));
+		assert.match(code, /\/\/# sourceMappingURL=data:application\/json;base64,/);
+	} finally {
+		close();
+		consoleSpy.mock.restore();
+		signals.forEach((signal, i) => {
+			for (const listener of process.listeners(signal)) {
+				if (!existing[i].includes(listener)) process.off(signal, listener);
+			}
+		});
+	}
+});
+
+// ---------------------------------------------------------------------------
+// analyze() — module sizes and treemap report
+// ---------------------------------------------------------------------------
+
+test("analyze() reports module sizes without writing public/", async () => {
+	await scaffoldProject();
+	await writeFiles({
+		"app/src/main.js": `import { greet } from "./lib/greet.js";\ngreet();\nimport("./lazy.js");\n`,
+		"app/src/lib/greet.js": `export const greet = () => console.log("${"x".repeat(500)}");\n`,
+		"app/src/lazy.js": `console.log("lazy");\n`,
+	});
+	const handler = makeHandler();
+	handler.logger = new Logger();
+	const consoleSpy = mock.method(console, "log", () => {});
+	let result;
+	try {
+		result = await handler.analyze({ out: "reports/bundle.html" });
+	} finally {
+		consoleSpy.mock.restore();
+	}
+
+	const lines = consoleSpy.mock.calls.map((call) => call.arguments[0]);
+	assert.ok(lines.some((line) => /^Module\s+Chunk\s+Size\s+Share$/.test(line)));
+	assert.match(
+		lines[lines.findIndex((line) => line.startsWith("Module")) + 1],
+		/^app\/src\/lib\/greet\.js\s+main-[\w-]{8}\.js\s+\d+ B\s+\d+\.\d%$/,
+	);
+	assert.deepStrictEqual(result.modules.map((module) => module.module).sort(), [
+		"app/src/lazy.js",
+		"app/src/lib/greet.js",
+		"app/src/main.js",
+	]);
+	assert.strictEqual(
+		new Set(result.modules.map((module) => module.chunk)).size,
+		2,
+	);
+
+	const report = await fs.readFile(
+		path.join(testDir, "reports", "bundle.html"),
+		"utf8",
+	);
+	assert.ok(!report.includes("{{"));
+	assert.ok(report.includes(`"name":"app/src"`));
+	assert.ok(report.includes(`"name":"greet.js"`));
+	await assert.rejects(fs.access(path.join(testDir, "public")));
+});
+
+test("prod() with watch rebuilds the bundle and syncs static files", async () => {
+	await scaffoldProject();
+	const handler = makeHandler();
+	const watcher = await handler.prod({ watch: true });
+
+	try {
+		const bundled = path.join(testDir, "public", "src", "main.js");
+		assert.ok((await fs.readFile(bundled, "utf8")).includes("hello"));
+
+		await fs.writeFile(
+			path.join(testDir, "app", "src", "main.js"),
+			`console.log("rebuilt in watch mode");\n`,
+		);
+		await waitFor(async () =>
+			(await fs.readFile(bundled, "utf8")).includes("rebuilt in watch mode"),
+		);
+
+		await fs.writeFile(path.join(testDir, "app", "style.css"), "body {}");
+		await waitFor(async () =>
+			fs.access(path.join(testDir, "public", "style.css")).then(() => true),
+		);
+
+		await fs.rm(path.join(testDir, "app", "style.css"));
+		await waitFor(async () =>
+			fs
+				.access(path.join(testDir, "public", "style.css"))
+				.then(() => false)
+				.catch(() => true),
+		);
+	} finally {
+		await watcher.close();
+	}
+});
@@ -19,13 +19,17 @@ test("Logger should log messages when not silent", () => {
 	logger.error("Test error");
 	logger.success("Test success");
 	logger.info("Test info");
+	logger.warning("Test warning");
 
-	assert.strictEqual(consoleSpy.mock.calls.length, 3);
+	assert.strictEqual(consoleSpy.mock.calls.length, 4);
 	assert.ok(
 		consoleSpy.mock.calls[0].arguments[0].includes("ERROR: Test error"),
 	);
 	assert.ok(consoleSpy.mock.calls[1].arguments[0].includes("Test success"));
 	assert.ok(consoleSpy.mock.calls[2].arguments[0].includes("Test info"));
+	assert.ok(
+		consoleSpy.mock.calls[3].arguments[0].includes("WARNING: Test warning"),
+	);
 
 	consoleSpy.mock.restore();
 });
@@ -61,3 +65,26 @@ test("Logger.debug should only log when debug is enabled and not silent", () =>
 	assert.strictEqual(consoleSpy3.mock.calls.length, 0);
 	consoleSpy3.mock.restore();
 });
+
+test("Logger.table should align columns", () => {
+	const logger = new Logger();
+	const consoleSpy = mock.method(console, "log", () => {});
+
+	logger.table([
+		["Name", "Size"],
+		["a-long-name", "1 kB"],
+		["b", "-"],
+	]);
+
+	assert.deepStrictEqual(
+		consoleSpy.mock.calls.map((call) => call.arguments[0]),
+		["Name         Size", "a-long-name  1 kB", "b            -"],
+	);
+	consoleSpy.mock.restore();
+});
+
+test("Logger.formatSize should format bytes", () => {
+	assert.strictEqual(Logger.formatSize(512), "512 B");
+	assert.strictEqual(Logger.formatSize(2048), "2.0 kB");
+	assert.strictEqual(Logger.formatSize(3 * 1024 * 1024), "3.00 MB");
+});
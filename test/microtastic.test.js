@@ -68,6 +68,14 @@ test("Microtastic.initialize should create CommandHandler with correct paths and
 	}
 });
 
+test("Microtastic.parseOptions should convert flags to camelCase options", () => {
+	const microtastic = new Microtastic();
+	assert.deepStrictEqual(
+		microtastic.parseOptions(["--watch", "--some-flag=x", "positional"]),
+		{ watch: true, someFlag: "x" },
+	);
+});
+
 test("Microtastic.run should handle missing command", async () => {
 	const originalArgv = process.argv;
 	process.argv = ["node", "index.js"]; // No command
@@ -1,6 +1,6 @@
 // Test reactive system - Signals and Reactive utilities
 import assert from "node:assert/strict";
-import { describe, test } from "node:test";
+import { before, describe, test } from "node:test";
 import "./setup.js";
 import {
 	css,
@@ -404,6 +404,29 @@ describe("Reactive.mount", () => {
 		component.update();
 		assert.equal(div.innerHTML, "<span>Count: 5</span>");
 	});
+
+	test("should bind signals and unbind the previous render on update", () => {
+		const div = document.createElement("div");
+		const first = Signals.create("A");
+		const second = Signals.create("B");
+		let current = first;
+		const component = Reactive.mount(div, () => html`<span>${current}</span>`);
+		assert.equal(div.textContent, "A");
+
+		first.set("A2");
+		assert.equal(div.textContent, "A2");
+
+		current = second;
+		component.update();
+		first.set("A3");
+		assert.equal(div.textContent, "B");
+		second.set("B2");
+		assert.equal(div.textContent, "B2");
+
+		component.dispose();
+		second.set("B3");
+		assert.equal(div.textContent, "B2");
+	});
 });
 
 describe("Reactive.bind", () => {
@@ -741,6 +764,141 @@ describe("Declarative Directives", () => {
 	});
 });
 
+describe("data-each", () => {
+	const setup = (items, key = "item.id") => {
+		const container = document.createElement("ul");
+		container.setAttribute("data-each", "items");
+		if (key) container.setAttribute("data-key", key);
+		container.innerHTML =
+			'<template><li data-text="item.name" data-attr-data-index="index"></li></template>';
+		const scope = { items: Signals.create(items) };
+		const cleanup = Reactive.scan(container, scope);
+		const rows = () => [...container.querySelectorAll("li")];
+		return { container, scope, cleanup, rows };
+	};
+
+	test("should render a row per item with item and index bindings", () => {
+		const { scope, cleanup, rows } = setup([
+			{ id: 1, name: "A" },
+			{ id: 2, name: "B" },
+		]);
+
+		assert.deepEqual(
+			rows().map((li) => li.textContent),
+			["A", "B"],
+		);
+		assert.deepEqual(
+			rows().map((li) => li.getAttribute("data-index")),
+			["0", "1"],
+		);
+
+		scope.items.set([]);
+		assert.equal(rows().length, 0);
+		cleanup();
+	});
+
+	test("should reuse and move nodes by key", () => {
+		const { scope, cleanup, rows } = setup([
+			{ id: 1, name: "A" },
+			{ id: 2, name: "B" },
+			{ id: 3, name: "C" },
+		]);
+		const [a, b, c] = rows();
+
+		scope.items.set([
+			{ id: 3, name: "C" },
+			{ id: 1, name: "A2" },
+			{ id: 4, name: "D" },
+		]);
+
+		const next = rows();
+		assert.equal(next.length, 3);
+		assert.equal(next[0], c, "Moved row should keep its node");
+		assert.equal(next[1], a, "Updated row should keep its node");
+		assert.equal(a.textContent, "A2");
+		assert.equal(a.getAttribute("data-index"), "1");
+		assert.equal(next[2].textContent, "D");
+		assert.ok(
+			!b.isConnected && !b.parentNode,
+			"Removed row should be detached",
+		);
+		cleanup();
+	});
+
+	test("should preserve input state of kept rows", () => {
+		const container = document.createElement("div");
+		container.setAttribute("data-each", "items");
+		container.setAttribute("data-key", "item");
+		container.innerHTML = "<template><input /></template>";
+		const items = Signals.create(["a", "b"]);
+		const cleanup = Reactive.scan(container, { items });
+
+		const [first] = container.querySelectorAll("input");
+		first.value = "typed";
+		items.set(["b", "a", "c"]);
+
+		const inputs = container.querySelectorAll("input");
+		assert.equal(inputs.length, 3);
+		assert.equal(inputs[1], first);
+		assert.equal(first.value, "typed");
+		cleanup();
+	});
+
+	test("should give row handlers access to the row scope and outer scope", () => {
+		const container = document.createElement("div");
+		container.setAttribute("data-each", "items");
+		container.setAttribute("data-key", "item.id");
+		container.innerHTML =
+			'<template><button data-on-click="remove"></button></template>';
+		const scope = {
+			items: Signals.create([{ id: 1 }, { id: 2 }]),
+			remove() {
+				const id = this.item.peek().id;
+				this.items.update((list) => list.filter((i) => i.id !== id));
+			},
+		};
+		const cleanup = Reactive.scan(container, scope);
+
+		container.querySelector("button").click();
+		assert.deepEqual(scope.items.get(), [{ id: 2 }]);
+		assert.equal(container.querySelectorAll("button").length, 1);
+		cleanup();
+	});
+
+	test("should not bind row content against the outer scope", () => {
+		const { container, cleanup } = setup([{ id: 1, name: "A" }]);
+		const template = container.querySelector("template");
+		assert.equal(template.content.querySelector("li").textContent, "");
+		assert.equal(container.querySelectorAll("li").length, 1);
+		cleanup();
+	});
+
+	test("should stop updating rows after cleanup", () => {
+		const { scope, cleanup, rows } = setup([{ id: 1, name: "A" }]);
+		const [row] = rows();
+		cleanup();
+
+		scope.items.set([{ id: 1, name: "B" }]);
+		assert.equal(row.textContent, "A");
+	});
+
+	test("should warn on duplicate keys and still render all rows", () => {
+		const warnings = [];
+		const originalWarn = console.warn;
+		console.warn = (...args) => warnings.push(args);
+
+		const { cleanup, rows } = setup([
+			{ id: 1, name: "A" },
+			{ id: 1, name: "B" },
+		]);
+
+		console.warn = originalWarn;
+		assert.equal(rows().length, 2);
+		assert.ok(warnings[0][0].includes("Duplicate data-key"));
+		cleanup();
+	});
+});
+
 describe("Reactive.scan", () => {
 	test("should bind text and attributes declaratively", () => {
 		const div = document.createElement("div");
@@ -1682,6 +1840,219 @@ describe("Edge Cases and Advanced Scenarios", () => {
 	});
 });
 
+describe("Child Components", () => {
+	const makeChild = (log) =>
+		class Child extends Reactive.Component {
+			template() {
+				return html`<span data-text="props.label"></span>`;
+			}
+			mount() {
+				log.push(`mount:${this.props.label.peek()}`);
+			}
+			onCleanup() {
+				log.push(`cleanup:${this.props.label.peek()}`);
+			}
+		};
+
+	test("should mount a child with signal props and clean it up with the parent", () => {
+		const log = [];
+		const Child = makeChild(log);
+		class Parent extends Reactive.Component {
+			constructor() {
+				super();
+				this.Child = Child;
+			}
+			state() {
+				return { title: "Hello" };
+			}
+			template() {
+				return html`<div><section data-component="Child" data-prop-label="title"></section></div>`;
+			}
+		}
+
+		document.body.innerHTML = '<div id="child-app"></div>';
+		const parent = new Parent();
+		const el = parent.mountTo("child-app");
+		assert.equal(el.querySelector("section span").textContent, "Hello");
+		assert.deepEqual(log, ["mount:Hello"]);
+
+		parent.title.set("World");
+		assert.equal(el.querySelector("section span").textContent, "World");
+
+		parent.cleanup();
+		assert.deepEqual(log, ["mount:Hello", "cleanup:World"]);
+	});
+
+	test("should resolve registered components and pass static props", () => {
+		const log = [];
+		Reactive.register("RegisteredChild", makeChild(log));
+		const div = document.createElement("div");
+		document.body.replaceChildren(div);
+		div.innerHTML =
+			'<p data-component="RegisteredChild" data-prop-label="static text"></p>';
+		const cleanup = Reactive.scan(div, {});
+
+		assert.equal(div.textContent, "static text");
+		cleanup();
+		assert.deepEqual(log, ["mount:static text", "cleanup:static text"]);
+	});
+
+	test("should camelCase prop names", () => {
+		class Child extends Reactive.Component {
+			template() {
+				return html`<span data-text="props.userName"></span>`;
+			}
+		}
+		const div = document.createElement("div");
+		div.innerHTML = '<p data-component="Child" data-prop-user-name="name"></p>';
+		const cleanup = Reactive.scan(div, { Child, name: Signals.create("Ann") });
+		assert.equal(div.textContent, "Ann");
+		cleanup();
+	});
+
+	test("should not bind child content against the parent scope", () => {
+		class Child extends Reactive.Component {
+			state() {
+				return { label: "child" };
+			}
+			template() {
+				return html`<span data-text="label"></span>`;
+			}
+		}
+		const div = document.createElement("div");
+		div.innerHTML = '<p data-component="Child"></p>';
+		const cleanup = Reactive.scan(div, {
+			Child,
+			label: Signals.create("parent"),
+		});
+		assert.equal(div.textContent, "child");
+		cleanup();
+	});
+
+	test("should clean up and remount children in a data-if region", () => {
+		const log = [];
+		const Child = makeChild(log);
+		const show = Signals.create(true);
+		const div = document.createElement("div");
+		document.body.replaceChildren(div);
+		div.innerHTML =
+			'<div data-if="show"><p data-component="Child" data-prop-label="a"></p></div><span data-component="Child" data-prop-label="b" data-if="show"></span>';
+		const cleanup = Reactive.scan(div, { Child, show });
+		assert.deepEqual(log, ["mount:a", "mount:b"]);
+
+		show.set(false);
+		assert.deepEqual(log, ["mount:a", "mount:b", "cleanup:a", "cleanup:b"]);
+
+		show.set(true);
+		assert.equal(div.querySelectorAll("p span, span span").length, 2);
+		assert.equal(log.filter((l) => l.startsWith("mount")).length, 4);
+		cleanup();
+	});
+
+	test("should clean up children replaced by data-html", () => {
+		const log = [];
+		const Child = makeChild(log);
+		const content = Signals.create(
+			html`<p data-component="Child" data-prop-label="first"></p>`,
+		);
+		const div = document.createElement("div");
+		document.body.replaceChildren(div);
+		div.setAttribute("data-html", "content");
+		const cleanup = Reactive.scan(div, { Child, content });
+		assert.deepEqual(log, ["mount:first"]);
+
+		content.set(html`<p>no child</p>`);
+		assert.deepEqual(log, ["mount:first", "cleanup:first"]);
+		cleanup();
+	});
+
+	test("should defer mount() until the host is in the document", () => {
+		const log = [];
+		class Child extends Reactive.Component {
+			template() {
+				return html`<span data-ref="root" data-text="props.label"></span>`;
+			}
+			mount() {
+				const { isConnected } = this.refs.root;
+				log.push(`mount:${this.props.label.peek()}:${isConnected}`);
+			}
+		}
+		class Parent extends Reactive.Component {
+			constructor() {
+				super();
+				this.Child = Child;
+			}
+			state() {
+				return { items: ["a", "b"] };
+			}
+			template() {
+				return html`<ul data-each="items"><template><li data-component="Child" data-prop-label="item"></li></template></ul>`;
+			}
+			mount() {
+				log.push("mount:parent");
+			}
+		}
+
+		// Rendered but never attached: no child mounts
+		const detached = new Parent();
+		detached.initState();
+		detached.render();
+		assert.deepEqual(log, []);
+		detached.cleanup();
+
+		document.body.innerHTML = '<div id="defer-app"></div>';
+		const parent = new Parent();
+		parent.mountTo("defer-app");
+		assert.deepEqual(log, ["mount:a:true", "mount:b:true", "mount:parent"]);
+
+		// Rows added later mount once they are placed
+		parent.items.set(["a", "b", "c"]);
+		assert.equal(log.at(-1), "mount:c:true");
+		parent.cleanup();
+	});
+
+	test("should warn for unknown components", () => {
+		const warnings = [];
+		const originalWarn = console.warn;
+		console.warn = (...args) => warnings.push(args);
+		const div = document.createElement("div");
+		div.innerHTML = '<p data-component="Missing"></p>';
+		Reactive.scan(div, {})();
+		console.warn = originalWarn;
+		assert.ok(warnings[0][0].includes('Unknown component "Missing"'));
+	});
+});
+
+describe("data-if scanning", () => {
+	test("should keep scanning siblings of an initially hidden element", () => {
+		const div = document.createElement("div");
+		div.innerHTML = '<p data-if="show">a</p><span data-text="name"></span>';
+		const cleanup = Reactive.scan(div, {
+			show: Signals.create(false),
+			name: Signals.create("X"),
+		});
+		assert.equal(div.querySelector("span").textContent, "X");
+		cleanup();
+	});
+
+	test("should bind contents only while shown", () => {
+		const div = document.createElement("div");
+		div.innerHTML = '<p data-if="show"><span data-text="name"></span></p>';
+		const show = Signals.create(true);
+		const name = Signals.create("A");
+		const cleanup = Reactive.scan(div, { show, name });
+		const span = div.querySelector("span");
+
+		show.set(false);
+		name.set("B");
+		assert.equal(span.textContent, "A");
+
+		show.set(true);
+		assert.equal(span.textContent, "B");
+		cleanup();
+	});
+});
+
 describe("Reactive.createComponent", () => {
 	test("should create component context", () => {
 		const component = Reactive.createComponent();
@@ -1902,6 +2273,178 @@ describe("HTML Utilities", () => {
 	});
 });
 
+describe("Template Bindings", () => {
+	test("html should record signals as bindings instead of printing them", () => {
+		const name = Signals.create("Alice", undefined, "name");
+		const result = html`<p>${name}</p>`;
+		assert.ok(!result.content.includes("Signal(name)"));
+		assert.equal(result.bindings.size, 1);
+		assert.equal([...result.bindings.values()][0], name);
+	});
+
+	test("html should not add bindings for plain templates", () => {
+		assert.equal(html`<p>${"x"}</p>`.bindings, undefined);
+	});
+
+	test("hydrate should bind text positions in place", () => {
+		const name = Signals.create("Alice");
+		const tpl = html`<p>Hello <b>${name}</b>!</p>`;
+		const div = document.createElement("div");
+		div.innerHTML = tpl.content;
+		const cleanup = Reactive.hydrate(div, tpl);
+
+		const b = div.querySelector("b");
+		const textNode = b.firstChild;
+		assert.equal(div.textContent, "Hello Alice!");
+
+		name.set("<i>Bob</i>");
+		assert.equal(b.textContent, "<i>Bob</i>");
+		assert.equal(b.firstChild, textNode, "Should update the same text node");
+		assert.equal(b.querySelector("i"), null, "Should not parse as HTML");
+
+		cleanup();
+		name.set("Carol");
+		assert.equal(b.textContent, "<i>Bob</i>");
+	});
+
+	test("hydrate should bind attributes, including partial values", () => {
+		const cls = Signals.create("active");
+		const id = Signals.create(1);
+		const tpl = html`<a class="btn ${cls}" href="/items/${id}" title=${cls}></a>`;
+		const div = document.createElement("div");
+		div.innerHTML = tpl.content;
+		const cleanup = Reactive.hydrate(div, tpl);
+
+		const a = div.querySelector("a");
+		assert.equal(a.getAttribute("class"), "btn active");
+		assert.equal(a.getAttribute("href"), "/items/1");
+		assert.equal(a.getAttribute("title"), "active");
+
+		Signals.batch(() => {
+			cls.set("inactive");
+			id.set(2);
+		});
+		assert.equal(a.getAttribute("class"), "btn inactive");
+		assert.equal(a.getAttribute("href"), "/items/2");
+		cleanup();
+	});
+
+	test("hydrate should toggle attributes bound to booleans", () => {
+		const disabled = Signals.create(true);
+		const tpl = html`<button disabled="${disabled}"></button>`;
+		const div = document.createElement("div");
+		div.innerHTML = tpl.content;
+		const cleanup = Reactive.hydrate(div, tpl);
+
+		const button = div.querySelector("button");
+		assert.equal(button.hasAttribute("disabled"), true);
+		disabled.set(false);
+		assert.equal(button.hasAttribute("disabled"), false);
+		cleanup();
+	});
+
+	test("hydrate should leave attribute markers of unknown templates alone", () => {
+		const a = Signals.create("x");
+		const b = Signals.create("y");
+		const inner = html`<i class="${a}"></i>`;
+		const tpl = html`<div>${trusted(inner.content)}${b}</div>`;
+		const div = document.createElement("div");
+		div.innerHTML = tpl.content;
+		const cleanup = Reactive.hydrate(div, tpl);
+
+		assert.match(div.querySelector("i").getAttribute("class"), /r-bind/);
+		assert.equal(div.textContent, "y");
+		cleanup();
+	});
+
+	test("html should place markers by tag and quote state", () => {
+		const s = Signals.create("v");
+		const div = document.createElement("div");
+
+		const title = html`<p title="a > b ${s}">x</p>`;
+		div.innerHTML = title.content;
+		let cleanup = Reactive.hydrate(div, title);
+		assert.equal(div.querySelector("p").getAttribute("title"), "a > b v");
+		assert.equal(div.textContent, "x");
+		cleanup();
+
+		const text = html`<p>1 < 2 ${s}</p>`;
+		div.innerHTML = text.content;
+		cleanup = Reactive.hydrate(div, text);
+		assert.equal(div.textContent, "1 < 2 v");
+		s.set("w");
+		assert.equal(div.textContent, "1 < 2 w");
+		cleanup();
+
+		const commented = html`<div><!-- don't --> <p>${s}</p></div>`;
+		div.innerHTML = commented.content;
+		cleanup = Reactive.hydrate(div, commented);
+		assert.equal(div.querySelector("p").textContent, "w");
+		cleanup();
+
+		const quoted = html`<p data-x='say "hi"' title='${s}'>${s}</p>`;
+		div.innerHTML = quoted.content;
+		cleanup = Reactive.hydrate(div, quoted);
+		assert.equal(div.querySelector("p").getAttribute("title"), "w");
+		assert.equal(div.textContent, "w");
+		cleanup();
+	});
+
+	test("bindings should survive nesting and join", () => {
+		const a = Signals.create("A");
+		const b = Signals.create("B");
+		const tpl = html`<ul>${join([html`<li>${a}</li>`, html`<li>${b}</li>`])}</ul>`;
+		const div = document.createElement("div");
+		div.innerHTML = tpl.content;
+		const cleanup = Reactive.hydrate(div, tpl);
+
+		b.set("B2");
+		assert.equal(div.textContent, "AB2");
+		cleanup();
+	});
+
+	test("Component.render should bind signals and clean them up", () => {
+		class Greeting extends Reactive.Component {
+			state() {
+				return { name: "Alice" };
+			}
+			init() {
+				this.upper = this.computed(() => this.name.get().toUpperCase());
+			}
+			template() {
+				return html`<p data-name="${this.name}">${this.upper}</p>`;
+			}
+		}
+
+		const component = new Greeting();
+		component.initState();
+		const el = component.render();
+		assert.equal(el.textContent, "ALICE");
+		assert.equal(el.getAttribute("data-name"), "Alice");
+
+		component.name.set("Bob");
+		assert.equal(el.textContent, "BOB");
+		assert.equal(el.getAttribute("data-name"), "Bob");
+
+		component.cleanup();
+		component.name.set("Carol");
+		assert.equal(el.getAttribute("data-name"), "Bob");
+	});
+
+	test("data-html should bind signals in rendered content", () => {
+		const count = Signals.create(1);
+		const content = Signals.create(html`<span>${count}</span>`);
+		const div = document.createElement("div");
+		div.setAttribute("data-html", "content");
+		const cleanup = Reactive.scan(div, { content });
+
+		assert.equal(div.textContent, "1");
+		count.set(2);
+		assert.equal(div.textContent, "2");
+		cleanup();
+	});
+});
+
 describe("CSS-in-JS", () => {
 	test("css should generate unique class names", () => {
 		const class1 = css`
@@ -2217,3 +2760,297 @@ describe("Signals.computedAsync", () => {
 		asyncComputed.dispose();
 	});
 });
+
+describe("Reactive.Router", () => {
+	const pages = [];
+	const page = (name) =>
+		class extends Reactive.Component {
+			template() {
+				return html`<div class="${name}"><span data-text="props.params"></span></div>`;
+			}
+			mount() {
+				pages.push(`mount:${name}`);
+			}
+			onCleanup() {
+				pages.push(`cleanup:${name}`);
+			}
+		};
+	const Home = page("home");
+	const User = page("user");
+	const NotFound = page("not-found");
+
+	const setup = (options = {}) => {
+		pages.length = 0;
+		window.history.replaceState(null, "", options.url ?? "/");
+		document.body.innerHTML = '<div id="router-app"></div>';
+		const router = new Reactive.Router({
+			routes: [
+				{ path: "/", component: Home },
+				{ path: "/users/:id", component: User },
+				{ path: "/lazy/:slug?", component: async () => ({ default: Home }) },
+				{ path: "/files/*", component: User },
+				{ path: "*", component: NotFound },
+			],
+			...options,
+		});
+		const app = () => document.getElementById("router-app");
+		return { router, app };
+	};
+
+	test("should match patterns with params, optional params and wildcards", () => {
+		const { router } = setup();
+		assert.deepEqual(router.match("/users/42").params, { id: "42" });
+		assert.equal(router.match("/users/42/").route.path, "/users/:id");
+		assert.deepEqual(router.match("/lazy").params, {});
+		assert.deepEqual(router.match("/lazy/a%20b").params, { slug: "a b" });
+		assert.deepEqual(router.match("/files/a/b.txt").params, {
+			"*": "a/b.txt",
+		});
+		assert.equal(router.match("/nope/deep").route.path, "*");
+	});
+
+	test("should keep malformed escapes in params as typed", () => {
+		const { router } = setup();
+		assert.deepEqual(router.match("/users/%E0%A4%A").params, {
+			id: "%E0%A4%A",
+		});
+	});
+
+	test("should render the current route and update the route signal", async () => {
+		const { router, app } = setup({ url: "/users/7?tab=posts" });
+		await router.start("router-app");
+
+		assert.ok(app().querySelector(".user"));
+		assert.deepEqual(router.route.get(), {
+			path: "/users/7",
+			params: { id: "7" },
+			query: { tab: "posts" },
+			pattern: "/users/:id",
+		});
+		router.stop();
+	});
+
+	test("should mount a new component and clean up the old one on navigate", async () => {
+		const { router, app } = setup();
+		await router.start("router-app");
+		await router.navigate("/users/1");
+
+		assert.equal(window.location.pathname, "/users/1");
+		assert.ok(app().querySelector(".user"));
+		assert.deepEqual(pages, ["mount:home", "cleanup:home", "mount:user"]);
+		router.stop();
+		assert.equal(pages.at(-1), "cleanup:user");
+	});
+
+	test("should keep the component and update params within the same route", async () => {
+		const { router } = setup({ url: "/users/1" });
+		await router.start("router-app");
+		const { component, props } = router._current;
+
+		await router.navigate("/users/2");
+		assert.equal(router._current.component, component);
+		assert.deepEqual(props.params.get(), { id: "2" });
+		assert.deepEqual(pages, ["mount:user"]);
+		router.stop();
+	});
+
+	test("should load lazy route modules", async () => {
+		const { router, app } = setup({ url: "/lazy/x" });
+		await router.start("router-app");
+		assert.ok(app().querySelector(".home"));
+		router.stop();
+	});
+
+	test("should retry a lazy route whose module failed to load", async () => {
+		let attempts = 0;
+		const { router, app } = setup({
+			url: "/flaky",
+			routes: [
+				{
+					path: "/flaky",
+					component: async () => {
+						if (++attempts === 1) throw new Error("offline");
+						return { default: User };
+					},
+				},
+			],
+		});
+		const origError = console.error;
+		console.error = () => {};
+		await router.start("router-app");
+		console.error = origError;
+		assert.equal(app().children.length, 0);
+
+		await router.navigate("/flaky");
+		assert.equal(attempts, 2);
+		assert.ok(app().querySelector(".user"));
+		router.stop();
+	});
+
+	test("should intercept same-origin link clicks", async () => {
+		const { router, app } = setup();
+		await router.start("router-app");
+		const link = document.createElement("a");
+		link.href = "/users/5";
+		const external = document.createElement("a");
+		external.href = "https://example.com/users/6";
+		external.addEventListener("click", (e) => e.preventDefault());
+		document.body.append(link, external);
+
+		link.click();
+		await new Promise((resolve) => setTimeout(resolve, 0));
+		assert.equal(window.location.pathname, "/users/5");
+		assert.ok(app().querySelector(".user"));
+
+		external.click();
+		assert.equal(router.route.get().path, "/users/5");
+		router.stop();
+	});
+
+	test("should support hash mode", async () => {
+		const { router } = setup({ mode: "hash", url: "/#/users/3" });
+		await router.start("router-app");
+		assert.deepEqual(router.route.get().params, { id: "3" });
+
+		await router.navigate("/");
+		assert.equal(window.location.hash, "#/");
+		assert.equal(router.route.get().pattern, "/");
+		router.stop();
+	});
+
+	test("should strip the base path in history mode", async () => {
+		const { router } = setup({ base: "/app/", url: "/app/users/9" });
+		await router.start("router-app");
+		assert.deepEqual(router.route.get().params, { id: "9" });
+		assert.equal(router.href("/users/1"), "/app/users/1");
+		router.stop();
+		window.history.replaceState(null, "", "/");
+	});
+
+	test("should leave paths that only share a prefix with the base alone", async () => {
+		const { router, app } = setup({ base: "/app", url: "/app/users/9" });
+		await router.start("router-app");
+		const link = document.createElement("a");
+		link.href = "/apple";
+		document.body.append(link);
+		let prevented;
+		window.addEventListener(
+			"click",
+			(e) => {
+				prevented = e.defaultPrevented;
+				e.preventDefault();
+			},
+			{ once: true },
+		);
+
+		link.click();
+		assert.equal(prevented, false);
+		assert.equal(router.route.get().path, "/users/9");
+		assert.ok(app().querySelector(".user"));
+		router.stop();
+
+		const outside = setup({ base: "/app", url: "/apple" });
+		await outside.router.start("router-app");
+		assert.equal(outside.router.route.get().path, "/apple");
+		outside.router.stop();
+		window.history.replaceState(null, "", "/");
+	});
+});
+
+describe("Reactive.hotReplace", () => {
+	// The dev server's reload script sets the flag before the app loads reactive.js
+	let dev;
+	before(async () => {
+		window.__MICROTASTIC_HOT__ = true;
+		dev = await import("../reactive.js?hot");
+		delete window.__MICROTASTIC_HOT__;
+	});
+
+	const makeCounter = (label, lib = dev) => {
+		// Same class name in a fresh scope, like a re-imported module
+		class Counter extends lib.Reactive.Component {
+			state() {
+				return { count: 0, doubled: () => this.count.get() * 2 };
+			}
+			template() {
+				return lib.html`<p>${label}: <span data-text="count"></span> <b data-text="doubled"></b></p>`;
+			}
+		}
+		return Counter;
+	};
+
+	test("should re-render live instances in place and keep signal state", () => {
+		const Counter = makeCounter("old");
+		document.body.innerHTML = '<div id="hmr-app"></div>';
+		const counter = new Counter();
+		counter.mountTo("hmr-app");
+		counter.count.set(3);
+
+		const NewCounter = makeCounter("new");
+		assert.equal(
+			dev.Reactive.hotReplace({ Counter: NewCounter }, { Counter }),
+			true,
+		);
+
+		const app = document.getElementById("hmr-app");
+		assert.equal(app.textContent, "new: 3 6");
+		counter.count.set(4);
+		assert.equal(app.textContent, "new: 4 8");
+
+		// Instances created from the old class pick up the new methods as well
+		const later = new Counter();
+		later.initState();
+		assert.ok(later.render().textContent.startsWith("new"));
+		counter.cleanup();
+		later.cleanup();
+	});
+
+	test("should only replace classes from the same module", () => {
+		const Counter = makeCounter("a");
+		const Other = makeCounter("b");
+		document.body.innerHTML = '<div id="hmr-a"></div><div id="hmr-b"></div>';
+		const a = new Counter();
+		a.mountTo("hmr-a");
+		const b = new Other();
+		b.mountTo("hmr-b");
+
+		dev.Reactive.hotReplace({ Counter: makeCounter("new") }, { Counter });
+		assert.ok(document.getElementById("hmr-a").textContent.startsWith("new"));
+		assert.ok(document.getElementById("hmr-b").textContent.startsWith("b"));
+		a.cleanup();
+		b.cleanup();
+	});
+
+	test("should reject modules that are not only components", () => {
+		const Counter = makeCounter("x");
+		assert.equal(dev.Reactive.hotReplace({}, {}), false);
+		assert.equal(
+			dev.Reactive.hotReplace({ Counter, helper: () => {} }, { Counter }),
+			false,
+		);
+	});
+
+	test("should expose the hot replacement hook on window", () => {
+		assert.equal(typeof window.__MICROTASTIC_HMR__.accept, "function");
+		assert.equal(window.__MICROTASTIC_HMR__.accept({ value: 1 }, {}), false);
+	});
+
+	test("should not track components or expose the hook without the flag", async () => {
+		const hook = window.__MICROTASTIC_HMR__;
+		delete window.__MICROTASTIC_HMR__;
+		const prod = await import("../reactive.js?production");
+		assert.equal(window.__MICROTASTIC_HMR__, undefined);
+		window.__MICROTASTIC_HMR__ = hook;
+
+		const Counter = makeCounter("old", prod);
+		document.body.innerHTML = '<div id="hmr-app"></div>';
+		const counter = new Counter();
+		counter.mountTo("hmr-app");
+		prod.Reactive.hotReplace(
+			{ Counter: makeCounter("new", prod) },
+			{ Counter },
+		);
+		assert.ok(document.getElementById("hmr-app").textContent.startsWith("old"));
+		counter.cleanup();
+	});
+});
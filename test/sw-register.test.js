@@ -0,0 +1,158 @@
+// Test the service worker registration helper against a fake navigator.serviceWorker
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, mock, test } from "node:test";
+import {
+	applyUpdate,
+	offlineReady,
+	registerServiceWorker,
+	updateAvailable,
+} from "../sw-register.js";
+
+class FakeWorker extends EventTarget {
+	constructor(state) {
+		super();
+		this.state = state;
+		this.messages = [];
+	}
+
+	postMessage(message) {
+		this.messages.push(message);
+	}
+
+	moveTo(state) {
+		this.state = state;
+		this.dispatchEvent(new Event("statechange"));
+	}
+}
+
+class FakeContainer extends EventTarget {
+	constructor(registration, controller = null) {
+		super();
+		this.registration = registration;
+		this.controller = controller;
+	}
+
+	async register(url) {
+		this.url = url;
+		return this.registration;
+	}
+}
+
+const fakeRegistration = (workers = {}) =>
+	Object.assign(new EventTarget(), {
+		installing: null,
+		waiting: null,
+		active: null,
+		...workers,
+	});
+
+let reload;
+
+const setGlobal = (name, value) =>
+	Object.defineProperty(globalThis, name, {
+		value,
+		configurable: true,
+		writable: true,
+	});
+
+beforeEach(() => {
+	updateAvailable.set(false);
+	offlineReady.set(false);
+	reload = mock.fn();
+	setGlobal("location", { reload });
+});
+
+afterEach(() => {
+	delete globalThis.navigator;
+	delete globalThis.location;
+});
+
+test("registerServiceWorker returns null without service worker support", async () => {
+	setGlobal("navigator", {});
+	assert.equal(await registerServiceWorker(), null);
+});
+
+test("registerServiceWorker resolves null and warns once when registration fails", async () => {
+	const container = new FakeContainer(null);
+	container.register = async () => {
+		throw new TypeError("Failed to register a ServiceWorker: 404");
+	};
+	setGlobal("navigator", { serviceWorker: container });
+	const warn = mock.method(console, "warn", () => {});
+
+	assert.equal(await registerServiceWorker(), null);
+	assert.equal(await registerServiceWorker(), null);
+	assert.equal(warn.mock.callCount(), 1);
+	warn.mock.restore();
+});
+
+test("registerServiceWorker sets offlineReady after the first install", async () => {
+	const installing = new FakeWorker("installing");
+	const container = new FakeContainer(fakeRegistration({ installing }));
+	setGlobal("navigator", { serviceWorker: container });
+
+	await registerServiceWorker();
+	assert.equal(container.url, "sw.js");
+	assert.equal(offlineReady.get(), false);
+
+	installing.moveTo("installed");
+	assert.equal(offlineReady.get(), true);
+	assert.equal(updateAvailable.get(), false);
+});
+
+test("registerServiceWorker sets updateAvailable when a new worker is installed", async () => {
+	const registration = fakeRegistration({
+		active: new FakeWorker("activated"),
+	});
+	const container = new FakeContainer(registration, registration.active);
+	setGlobal("navigator", { serviceWorker: container });
+
+	await registerServiceWorker("/app/sw.js");
+	assert.equal(container.url, "/app/sw.js");
+	assert.equal(offlineReady.get(), true);
+
+	registration.installing = new FakeWorker("installing");
+	registration.dispatchEvent(new Event("updatefound"));
+	registration.installing.moveTo("installed");
+	assert.equal(updateAvailable.get(), true);
+});
+
+test("registerServiceWorker reports a worker that is already waiting", async () => {
+	const registration = fakeRegistration({
+		active: new FakeWorker("activated"),
+		waiting: new FakeWorker("installed"),
+	});
+	setGlobal("navigator", {
+		serviceWorker: new FakeContainer(registration, registration.active),
+	});
+
+	await registerServiceWorker();
+	assert.equal(updateAvailable.get(), true);
+});
+
+test("applyUpdate posts skipWaiting and reloads once on controllerchange", async () => {
+	const waiting = new FakeWorker("installed");
+	const registration = fakeRegistration({
+		active: new FakeWorker("activated"),
+		waiting,
+	});
+	const container = new FakeContainer(registration, registration.active);
+	setGlobal("navigator", { serviceWorker: container });
+	await registerServiceWorker();
+
+	assert.equal(applyUpdate(), true);
+	assert.deepEqual(waiting.messages, [{ action: "skipWaiting" }]);
+	assert.equal(reload.mock.callCount(), 0);
+
+	container.dispatchEvent(new Event("controllerchange"));
+	container.dispatchEvent(new Event("controllerchange"));
+	assert.equal(reload.mock.callCount(), 1);
+});
+
+test("applyUpdate returns false without a waiting worker", async () => {
+	setGlobal("navigator", {
+		serviceWorker: new FakeContainer(fakeRegistration()),
+	});
+	await registerServiceWorker();
+	assert.equal(applyUpdate(), false);
+});